@@ -0,0 +1,238 @@
+/**
+ * Alert rules on top of keyword matches
+ * 
+ * Each rule watches how many detections match its own query, or the search
+ * keyword when it has none, and fires a desktop notification and/or a sound
+ * once its condition has held for a while:
+ *   appears    - at least one match
+ *   above      - more than `count` matches
+ *   disappears - no matches, after at least one was seen
+ * 
+ * A rule fires once each time its condition becomes true, and never again
+ * within its cooldown, so a flickering detection can't flood the user.
+ */
+
+import { parseQuery, matchesQuery } from './query.js';
+
+/**
+ * Runtime state of each rule, keyed by rule ID
+ * since: when the condition became true, fired: whether it fired since then,
+ * lastFired: when it last fired, seen: whether a match was ever seen,
+ * query: the parsed rule query with the text and aliases it came from
+ * @type {Map<string, {since: number|null, fired: boolean, lastFired: number, seen: boolean, query: Object|null}>}
+ */
+const ruleStates = new Map();
+
+/**
+ * Shared audio context for alert sounds, created on first use
+ * @type {AudioContext|null}
+ */
+let audioContext = null;
+
+/**
+ * Builds a new alert rule
+ * 
+ * @param {Object} options - Rule options
+ * @param {string} options.query - Query to count, empty to count search keyword matches
+ * @param {string} options.condition - "appears", "above" or "disappears"
+ * @param {number} options.count - Threshold for the "above" condition
+ * @param {number} options.duration - Seconds the condition must hold before firing
+ * @param {number} options.cooldown - Minimum seconds between two alerts of the rule
+ * @param {boolean} options.notify - Show a desktop notification
+ * @param {boolean} options.sound - Play a sound
+ * @returns {Object} Rule ready to be stored in the settings
+ */
+export function createAlertRule({ query, condition, count, duration, cooldown, notify, sound }) {
+  return {
+    id: `rule_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 6)}`,
+    query: query.trim(),
+    condition,
+    count: Math.max(0, Math.floor(count) || 0),
+    duration: Math.max(0, duration || 0),
+    cooldown: Math.max(0, cooldown || 0),
+    notify,
+    sound
+  };
+}
+
+/**
+ * Describes a rule in words, e.g. "more than 3 person for 5 s"
+ * 
+ * @param {Object} rule - Alert rule
+ * @param {string} keyword - Current search keyword, used by rules without a query
+ * @returns {string} Human-readable rule
+ */
+export function describeAlertRule(rule, keyword) {
+  const target = rule.query || keyword || "(search keyword)";
+  const condition = rule.condition === "above"
+    ? `more than ${rule.count} ${target}`
+    : `${target} ${rule.condition}`;
+  return rule.duration > 0 ? `${condition} for ${rule.duration} s` : condition;
+}
+
+/**
+ * Checks whether a rule's condition holds for the current match count
+ * 
+ * @param {Object} rule - Alert rule
+ * @param {number} count - Matching detections in the current frame
+ * @param {Object} state - Runtime state of the rule
+ * @returns {boolean} Whether the condition holds
+ */
+function conditionHolds(rule, count, state) {
+  switch (rule.condition) {
+    case "appears":
+      return count > 0;
+    case "above":
+      return count > rule.count;
+    case "disappears":
+      // Only an object that was there can disappear
+      return state.seen && count === 0;
+    default:
+      return false;
+  }
+}
+
+/**
+ * Returns a rule's parsed query, parsing it only when the rule is new or the aliases were reloaded
+ * 
+ * @param {Object} rule - Alert rule with a query
+ * @param {Object.<string, Array<string>>} aliases - Map of alias to class names
+ * @param {Object} state - Runtime state of the rule, which caches the parsed query
+ * @returns {Object} Parsed query
+ */
+function getRuleQuery(rule, aliases, state) {
+  if (!state.query || state.query.text !== rule.query || state.query.aliases !== aliases) {
+    state.query = { text: rule.query, aliases, parsed: parseQuery(rule.query, aliases) };
+  }
+  return state.query.parsed;
+}
+
+/**
+ * Evaluates every rule against the detections of one frame
+ * 
+ * @param {Array<Object>} rules - Alert rules from the settings
+ * @param {Array<Object>} detections - Visible detections with className and isKeywordMatch
+ * @param {Object.<string, Array<string>>} aliases - Map of alias to class names for rule queries
+ * @param {number} [now] - Current time in milliseconds
+ * @returns {Array<{rule: Object, count: number}>} Rules that fire on this frame
+ */
+export function evaluateAlerts(rules, detections, aliases, now = Date.now()) {
+  const fired = [];
+  
+  for (const rule of rules) {
+    if (!ruleStates.has(rule.id)) {
+      ruleStates.set(rule.id, { since: null, fired: false, lastFired: -Infinity, seen: false, query: null });
+    }
+    const state = ruleStates.get(rule.id);
+    
+    // Rules without a query follow the search keyword's matches
+    const query = rule.query ? getRuleQuery(rule, aliases, state) : null;
+    const count = detections.filter(detection =>
+      query ? matchesQuery(query, detection.className) : detection.isKeywordMatch
+    ).length;
+    
+    if (!conditionHolds(rule, count, state)) {
+      // The next time the condition holds is a new episode
+      state.since = null;
+      state.fired = false;
+    } else {
+      if (state.since === null) state.since = now;
+      
+      const heldLongEnough = now - state.since >= rule.duration * 1000;
+      const cooledDown = now - state.lastFired >= rule.cooldown * 1000;
+      if (heldLongEnough && cooledDown && !state.fired) {
+        state.fired = true;
+        state.lastFired = now;
+        fired.push({ rule, count });
+        
+        // After a disappearance, wait for the object to come back before arming again
+        if (rule.condition === "disappears") state.seen = false;
+      }
+    }
+    
+    if (count > 0) state.seen = true;
+  }
+  
+  return fired;
+}
+
+/**
+ * Forgets the runtime state of every rule, e.g. when detection restarts
+ */
+export function resetAlerts() {
+  ruleStates.clear();
+}
+
+/**
+ * Shows a desktop notification for a fired rule
+ * 
+ * @param {Object} rule - Alert rule that fired
+ * @param {number} count - Matching detections when it fired
+ * @param {string} keyword - Current search keyword
+ */
+function showAlertNotification(rule, count, keyword) {
+  if (!chrome.notifications) return;
+  
+  chrome.notifications.create(`${rule.id}_${Date.now()}`, {
+    type: "basic",
+    iconUrl: chrome.runtime.getURL("images/icon.png"),
+    title: "Object Detection alert",
+    message: `${describeAlertRule(rule, keyword)} (${count} now)`,
+    priority: 2
+  });
+}
+
+/**
+ * Plays a short two-tone beep
+ */
+function playAlertSound() {
+  audioContext = audioContext || new AudioContext();
+  const start = audioContext.currentTime;
+  
+  [880, 660].forEach((frequency, index) => {
+    const oscillator = audioContext.createOscillator();
+    const gain = audioContext.createGain();
+    oscillator.frequency.value = frequency;
+    
+    // Fade each tone out to avoid clicks
+    const toneStart = start + index * 0.18;
+    gain.gain.setValueAtTime(0.2, toneStart);
+    gain.gain.exponentialRampToValueAtTime(0.001, toneStart + 0.16);
+    
+    oscillator.connect(gain).connect(audioContext.destination);
+    oscillator.start(toneStart);
+    oscillator.stop(toneStart + 0.16);
+  });
+}
+
+/**
+ * Notifies the user about fired rules as each rule asks
+ * 
+ * @param {Array<{rule: Object, count: number}>} alerts - Rules that fired
+ * @param {string} keyword - Current search keyword
+ */
+export function dispatchAlerts(alerts, keyword) {
+  for (const { rule, count } of alerts) {
+    if (rule.notify) showAlertNotification(rule, count, keyword);
+  }
+  
+  // One beep is enough however many rules fired together
+  if (alerts.some(({ rule }) => rule.sound)) playAlertSound();
+}
+
+/**
+ * Brings the detection tab to the front when one of its notifications is clicked
+ */
+export function initAlertNotifications() {
+  if (!chrome.notifications) return;
+  
+  chrome.notifications.onClicked.addListener(notificationId => {
+    if (!notificationId.startsWith("rule_")) return;
+    chrome.notifications.clear(notificationId);
+    chrome.tabs.getCurrent(tab => {
+      if (!tab) return;
+      chrome.tabs.update(tab.id, { active: true });
+      chrome.windows.update(tab.windowId, { focused: true });
+    });
+  });
+}
@@ -0,0 +1,31 @@
+/**
+ * Alias dictionary mapping free-text keywords to model class names
+ * The dictionary is bundled as public/aliases.json so it can be edited without rebuilding
+ */
+
+/**
+ * Fetches the alias dictionary from the extension package
+ * 
+ * Keys and class names are lowercased so lookups match parsed query terms.
+ * A missing or malformed file yields an empty dictionary rather than an error,
+ * since aliases only widen what a query can match.
+ * 
+ * @returns {Promise<Object.<string, Array<string>>>} Map of alias to class names
+ */
+export async function fetchAliases() {
+  try {
+    const response = await fetch(chrome.runtime.getURL('aliases.json'));
+    const rawAliases = await response.json();
+    const aliases = {};
+    
+    for (const [alias, classes] of Object.entries(rawAliases)) {
+      const key = alias.trim().toLowerCase().replace(/\s+/g, " ");
+      aliases[key] = [].concat(classes).map(className => className.toLowerCase());
+    }
+    
+    return aliases;
+  } catch (error) {
+    console.warn("Could not load alias dictionary:", error);
+    return {};
+  }
+}
@@ -0,0 +1,248 @@
+/**
+ * Zone occupancy and line-crossing counts
+ * 
+ * Each tracked object is reduced to one anchor point, the bottom centre of
+ * its box, which is where a person or vehicle touches the ground in CCTV-style
+ * views. Zones count the anchors inside them per class on every frame. Lines
+ * count an object once each time its anchor moves from one side to the other
+ * between frames, as "in" when it crosses to the right of the line's
+ * direction and "out" the other way.
+ */
+
+/**
+ * Frames a track may be missing before its last anchor is forgotten
+ * @type {number}
+ */
+const ANCHOR_TTL_FRAMES = 300;
+
+/**
+ * Most crossings kept in the log; older ones are dropped, the totals keep counting them
+ * @type {number}
+ */
+const MAX_LOGGED_CROSSINGS = 10000;
+
+/**
+ * Last anchor of every track, normalized to 0-1, with the frame it was seen on
+ * @type {Map<string, {x: number, y: number, frame: number}>}
+ */
+const lastAnchors = new Map();
+
+/**
+ * Crossing totals per line ID, each split by class name
+ * @type {Map<string, {in: Object.<string, number>, out: Object.<string, number>}>}
+ */
+const lineCounts = new Map();
+
+/**
+ * Every crossing since the counts were last reset
+ * @type {Array<{timestamp: number, line: string, trackId: string, className: string, direction: string}>}
+ */
+let crossings = [];
+
+/**
+ * Crossings dropped from the log since the counts were last reset
+ * @type {number}
+ */
+let droppedCrossings = 0;
+
+/**
+ * Occupancy of each zone on the latest frame, keyed by zone ID
+ * @type {Map<string, Object.<string, number>>}
+ */
+let occupancy = new Map();
+
+/**
+ * Frames processed, used to expire anchors of lost tracks
+ * @type {number}
+ */
+let frameNumber = 0;
+
+/**
+ * Wall-clock time the counts were last reset
+ * @type {number}
+ */
+let countingSince = Date.now();
+
+/**
+ * Checks whether a point lies inside a polygon by ray casting
+ * 
+ * @param {{x: number, y: number}} point - Point to test
+ * @param {Array<Array<number>>} polygon - Polygon corners [x, y]
+ * @returns {boolean} True if the point is inside
+ */
+function isInsidePolygon({ x, y }, polygon) {
+  let inside = false;
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const [xi, yi] = polygon[i];
+    const [xj, yj] = polygon[j];
+    if ((yi > y) !== (yj > y) && x < (xj - xi) * (y - yi) / (yj - yi) + xi) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+/**
+ * Returns which side of a line a point is on
+ * 
+ * @param {{x: number, y: number}} point - Point to test
+ * @param {Array<number>} start - Line start [x, y]
+ * @param {Array<number>} end - Line end [x, y]
+ * @returns {number} Positive on the "in" side, negative on the "out" side, 0 on the line
+ */
+function sideOfLine({ x, y }, [x1, y1], [x2, y2]) {
+  return (x2 - x1) * (y - y1) - (y2 - y1) * (x - x1);
+}
+
+/**
+ * Checks whether the movement between two points passes through a line segment
+ * 
+ * @param {{x: number, y: number}} from - Previous anchor
+ * @param {{x: number, y: number}} to - Current anchor
+ * @param {Object} line - Counting line with start and end points
+ * @returns {string|null} "in" or "out" if the segment was crossed, otherwise null
+ */
+function getCrossing(from, to, line) {
+  const sideBefore = sideOfLine(from, line.start, line.end);
+  const sideAfter = sideOfLine(to, line.start, line.end);
+  if (sideBefore === 0 || Math.sign(sideBefore) === Math.sign(sideAfter)) return null;
+  
+  // The movement must also pass between the line's ends, not beyond them
+  const lineStart = { x: line.start[0], y: line.start[1] };
+  const lineEnd = { x: line.end[0], y: line.end[1] };
+  const movement = [[from.x, from.y], [to.x, to.y]];
+  if (Math.sign(sideOfLine(lineStart, ...movement)) === Math.sign(sideOfLine(lineEnd, ...movement))) {
+    return null;
+  }
+  
+  return sideAfter > 0 ? "in" : "out";
+}
+
+/**
+ * Updates zone occupancy and line crossings with the tracked detections of one frame
+ * 
+ * @param {Array<Object>} detections - Tracked detections with id, className and sourceBox
+ * @param {{width: number, height: number}} sourceSize - Frame size in video pixels
+ * @param {Array<Object>} zones - Zones with id and points normalized to 0-1
+ * @param {Array<Object>} lines - Lines with id, name, start and end normalized to 0-1
+ * @param {Object} [options]
+ * @param {boolean} [options.countCrossings] - False for still images, whose detection IDs
+ *   don't follow objects between passes, so only zone occupancy is updated
+ */
+export function updateAnalytics(detections, sourceSize, zones, lines, { countCrossings = true } = {}) {
+  const frame = frameNumber++;
+  const timestamp = Date.now();
+  occupancy = new Map(zones.map(zone => [zone.id, {}]));
+  
+  for (const detection of detections) {
+    const [x1, , x2, y2] = detection.sourceBox;
+    const anchor = { x: (x1 + x2) / 2 / sourceSize.width, y: y2 / sourceSize.height };
+    
+    for (const zone of zones) {
+      if (isInsidePolygon(anchor, zone.points)) {
+        const counts = occupancy.get(zone.id);
+        counts[detection.className] = (counts[detection.className] || 0) + 1;
+      }
+    }
+    
+    if (!countCrossings) continue;
+    
+    const previous = lastAnchors.get(detection.id);
+    if (previous) {
+      for (const line of lines) {
+        const direction = getCrossing(previous, anchor, line);
+        if (!direction) continue;
+        
+        if (!lineCounts.has(line.id)) lineCounts.set(line.id, { in: {}, out: {} });
+        const counts = lineCounts.get(line.id)[direction];
+        counts[detection.className] = (counts[detection.className] || 0) + 1;
+        crossings.push({ timestamp, line: line.name, trackId: detection.id, className: detection.className, direction });
+        if (crossings.length > MAX_LOGGED_CROSSINGS) {
+          crossings.shift();
+          droppedCrossings++;
+        }
+      }
+    }
+    lastAnchors.set(detection.id, { ...anchor, frame });
+  }
+  
+  // Forget tracks that have been gone for a long time
+  for (const [trackId, anchor] of lastAnchors) {
+    if (frame - anchor.frame > ANCHOR_TTL_FRAMES) lastAnchors.delete(trackId);
+  }
+}
+
+/**
+ * Sums per-class counts
+ * 
+ * @param {Object.<string, number>} counts - Counts keyed by class name
+ * @returns {number} Total count
+ */
+function sumCounts(counts) {
+  return Object.values(counts).reduce((sum, count) => sum + count, 0);
+}
+
+/**
+ * Returns the current occupancy of every zone and the totals of every line
+ * 
+ * @param {Array<Object>} zones - Zones with id and name
+ * @param {Array<Object>} lines - Lines with id and name
+ * @returns {{zones: Array<Object>, lines: Array<Object>}} Zone counts per class and line in/out totals
+ */
+export function getAnalytics(zones, lines) {
+  return {
+    zones: zones.map(zone => {
+      const counts = occupancy.get(zone.id) || {};
+      return { name: zone.name, total: sumCounts(counts), counts };
+    }),
+    lines: lines.map(line => {
+      const counts = lineCounts.get(line.id) || { in: {}, out: {} };
+      return { name: line.name, in: sumCounts(counts.in), out: sumCounts(counts.out), counts };
+    })
+  };
+}
+
+/**
+ * Forgets where tracks were, e.g. after the tracker is reset or a video seeks,
+ * so a jump is not counted as a crossing; the counts are kept
+ */
+export function resetAnchors() {
+  lastAnchors.clear();
+}
+
+/**
+ * Sets every line count back to zero and clears the crossing log
+ */
+export function resetCounts() {
+  lineCounts.clear();
+  crossings = [];
+  droppedCrossings = 0;
+  countingSince = Date.now();
+}
+
+/**
+ * Serializes the current counts and the crossing log as JSON
+ * The log holds the latest MAX_LOGGED_CROSSINGS crossings; droppedCrossings says how many came before
+ * 
+ * @param {Array<Object>} zones - Zones with id and name
+ * @param {Array<Object>} lines - Lines with id and name
+ * @returns {string} JSON text
+ */
+export function toAnalyticsJson(zones, lines) {
+  return JSON.stringify({
+    countingSince: new Date(countingSince).toISOString(),
+    exportedAt: new Date().toISOString(),
+    ...getAnalytics(zones, lines),
+    droppedCrossings,
+    crossings: crossings.map(crossing => ({ ...crossing, time: new Date(crossing.timestamp).toISOString() }))
+  }, null, 2);
+}
+
+/**
+ * Builds a file name for a counts export
+ * @returns {string} File name including the time counting started
+ */
+export function getCountsFileName() {
+  const started = new Date(countingSince).toISOString().replace(/[:.]/g, "-");
+  return `counts-${started}.json`;
+}
@@ -0,0 +1,232 @@
+/**
+ * TensorFlow.js backend selection and benchmarking
+ * 
+ * Supports WebGL, WASM and CPU everywhere and WebGPU where the browser exposes it.
+ * In automatic mode the fastest working backend is chosen by timing the loaded
+ * model on the bundled calibration frames. The CPU backend takes seconds per
+ * frame, so it is only tried when no accelerated backend works.
+ */
+
+import * as tf from '@tensorflow/tfjs';
+import { setWasmPaths } from '@tensorflow/tfjs-backend-wasm';
+import '@tensorflow/tfjs-backend-webgpu';
+import wasmUrl from '@tensorflow/tfjs-backend-wasm/dist/tfjs-backend-wasm.wasm?url';
+import wasmSimdUrl from '@tensorflow/tfjs-backend-wasm/dist/tfjs-backend-wasm-simd.wasm?url';
+import wasmThreadedSimdUrl from '@tensorflow/tfjs-backend-wasm/dist/tfjs-backend-wasm-threaded-simd.wasm?url';
+import calibrationUrl from '../../calibration_image_sample_data_20x128x128x3_float32.npy?url';
+import { loadModel, getModel, getModelInfo } from './model.js';
+import { warmUpModel } from './detect.js';
+
+// Serve the WASM binaries from the extension package instead of a CDN
+setWasmPaths({
+  'tfjs-backend-wasm.wasm': wasmUrl,
+  'tfjs-backend-wasm-simd.wasm': wasmSimdUrl,
+  'tfjs-backend-wasm-threaded-simd.wasm': wasmThreadedSimdUrl
+});
+
+/**
+ * Backends in order of preference when no benchmark result is available
+ * @type {Array<string>}
+ */
+export const BACKENDS = ['webgpu', 'webgl', 'wasm', 'cpu'];
+
+// Benchmark configuration
+const BENCHMARK_RUNS = 5;      // Timed inferences per backend
+const BENCHMARK_WARMUP = 1;    // Untimed inferences to compile shaders first
+
+/**
+ * Returns the backends this browser can try
+ * WebGPU is only offered when navigator.gpu exists
+ * 
+ * @returns {Array<string>} Candidate backend names
+ */
+export function getAvailableBackends() {
+  const hasWebGPU = typeof navigator !== 'undefined' && Boolean(navigator.gpu);
+  return BACKENDS.filter(name => name !== 'webgpu' || hasWebGPU);
+}
+
+/**
+ * Switches TensorFlow.js to a backend and waits for it to initialize
+ * 
+ * @param {string} name - Backend name
+ * @returns {Promise<boolean>} True if the backend is now active
+ */
+export async function activateBackend(name) {
+  try {
+    const success = await tf.setBackend(name);
+    await tf.ready();
+    return success && tf.getBackend() === name;
+  } catch (error) {
+    console.warn(`Backend ${name} unavailable:`, error);
+    return false;
+  }
+}
+
+/**
+ * Parses a NumPy .npy file holding float32 data
+ * 
+ * @param {ArrayBuffer} buffer - Raw file contents
+ * @returns {{shape: Array<number>, data: Float32Array}} Array shape and values
+ * @throws {Error} If the file isn't a little-endian float32 .npy array
+ */
+function parseNpy(buffer) {
+  const bytes = new Uint8Array(buffer);
+  const view = new DataView(buffer);
+  const majorVersion = bytes[6];
+  
+  // Version 1 stores the header length in 2 bytes, later versions in 4
+  const headerLength = majorVersion === 1 ? view.getUint16(8, true) : view.getUint32(8, true);
+  const headerStart = majorVersion === 1 ? 10 : 12;
+  const header = new TextDecoder().decode(bytes.subarray(headerStart, headerStart + headerLength));
+  
+  if (!header.includes("'<f4'")) {
+    throw new Error("Calibration data must be little-endian float32");
+  }
+  
+  const shape = header.match(/'shape':\s*\(([^)]*)\)/)[1]
+    .split(',')
+    .map(dim => dim.trim())
+    .filter(Boolean)
+    .map(Number);
+  
+  return { shape, data: new Float32Array(buffer, headerStart + headerLength) };
+}
+
+/**
+ * Loads the bundled calibration frames (normalized to 0-1)
+ * @returns {Promise<{shape: Array<number>, data: Float32Array}>} Calibration frames
+ */
+async function loadCalibrationFrames() {
+  const response = await fetch(calibrationUrl);
+  return parseNpy(await response.arrayBuffer());
+}
+
+/**
+ * Times the loaded model on the active backend
+ * 
+ * @param {tf.GraphModel} model - Model to run
+ * @param {Array<number>} inputSize - Model input [height, width] from the registry, which
+ *   unlike the graph's input shape is known for exports with dynamic spatial dimensions
+ * @param {Object} calibration - Calibration frames from loadCalibrationFrames
+ * @returns {Promise<number>} Median inference time in milliseconds
+ */
+async function timeModel(model, inputSize, calibration) {
+  const [height, width] = inputSize;
+  const [frameCount, frameHeight, frameWidth, channels] = calibration.shape;
+  const frameSize = frameHeight * frameWidth * channels;
+  const times = [];
+  
+  for (let i = 0; i < BENCHMARK_WARMUP + BENCHMARK_RUNS; i++) {
+    // Cycle through the frames, resized up to the model input size
+    const offset = (i % frameCount) * frameSize;
+    const input = tf.tidy(() => {
+      const frame = tf.tensor4d(
+        calibration.data.subarray(offset, offset + frameSize),
+        [1, frameHeight, frameWidth, channels]
+      );
+      return tf.image.resizeBilinear(frame, [height, width]);
+    });
+    
+    const start = performance.now();
+    const output = model.execute(input);
+    const outputs = Array.isArray(output) ? output : [output];
+    await Promise.all(outputs.map(tensor => tensor.data()));
+    const elapsed = performance.now() - start;
+    
+    tf.dispose([input, ...outputs]);
+    if (i >= BENCHMARK_WARMUP) times.push(elapsed);
+  }
+  
+  times.sort((a, b) => a - b);
+  return times[Math.floor(times.length / 2)];
+}
+
+/**
+ * Benchmarks the available backends and activates the fastest one that works
+ * The CPU backend is only timed when every accelerated backend failed
+ * 
+ * @param {tf.GraphModel} [model] - Model to time, defaults to the active model
+ * @param {Object} [info] - Model info from the registry, defaults to the active model's
+ * @returns {Promise<{backend: string, results: Object.<string, number>}>} Chosen backend and median times
+ * @throws {Error} If no backend can run the model
+ */
+export async function benchmarkBackends(model = getModel(), info = getModelInfo()) {
+  const calibration = await loadCalibrationFrames();
+  const results = {};
+  
+  for (const name of getAvailableBackends()) {
+    // CPU comes last and is far slower than any accelerated backend that worked
+    if (name === 'cpu' && Object.keys(results).length > 0) continue;
+    if (!(await activateBackend(name))) continue;
+    
+    try {
+      results[name] = await timeModel(model, info.inputSize, calibration);
+      console.log(`Backend ${name}: ${results[name].toFixed(1)} ms`);
+    } catch (error) {
+      console.warn(`Backend ${name} failed benchmark:`, error);
+    }
+  }
+  
+  const ranked = Object.keys(results).sort((a, b) => results[a] - results[b]);
+  if (ranked.length === 0) {
+    throw new Error("No TensorFlow.js backend could run the model");
+  }
+  
+  await activateBackend(ranked[0]);
+  return { backend: ranked[0], results };
+}
+
+/**
+ * Activates the backend for a user preference
+ * 
+ * "auto" reuses a previous benchmark result if it still works and otherwise
+ * benchmarks again. An explicit backend that fails falls back to the others
+ * in order of preference.
+ * 
+ * @param {string} preference - "auto" or a backend name
+ * @param {string|null} benchmarked - Backend chosen by an earlier benchmark
+ * @param {tf.GraphModel} [model] - Model to benchmark, defaults to the active model
+ * @param {Object} [info] - Model info from the registry, defaults to the active model's
+ * @returns {Promise<{backend: string, benchmarked: boolean}>} Active backend and whether a benchmark ran
+ * @throws {Error} If no backend can be activated
+ */
+export async function selectBackend(preference, benchmarked, model = getModel(), info = getModelInfo()) {
+  if (preference === 'auto') {
+    if (benchmarked && await activateBackend(benchmarked)) {
+      return { backend: benchmarked, benchmarked: false };
+    }
+    const { backend } = await benchmarkBackends(model, info);
+    return { backend, benchmarked: true };
+  }
+  
+  const candidates = [preference, ...getAvailableBackends().filter(name => name !== preference)];
+  for (const name of candidates) {
+    if (await activateBackend(name)) {
+      return { backend: name, benchmarked: false };
+    }
+  }
+  throw new Error("No TensorFlow.js backend could be activated");
+}
+
+/**
+ * Loads a model onto the preferred backend and warms it up
+ * 
+ * The backend is chosen, and benchmarked if needed, with the new model before
+ * it is validated, so validation and warm-up both run on the backend that will
+ * run detection. The previous model stays active if anything fails.
+ * 
+ * @param {Object} info - Model info from the registry
+ * @param {string} preference - "auto" or a backend name
+ * @param {string|null} benchmarked - Backend chosen by an earlier benchmark
+ * @param {Function} [onProgress] - Called with the loaded fraction of the model from 0 to 1
+ * @returns {Promise<{backend: string, benchmarked: boolean}>} Active backend and whether a benchmark ran
+ * @throws {Error} If the model can't be loaded or no backend can run it
+ */
+export async function loadModelOnBackend(info, preference, benchmarked, onProgress = () => {}) {
+  let selection = null;
+  await loadModel(info, onProgress, async (graphModel) => {
+    selection = await selectBackend(preference, benchmarked, graphModel, info);
+  });
+  await warmUpModel();
+  return selection;
+}
@@ -0,0 +1,252 @@
+/**
+ * Live statistics dashboard
+ * 
+ * Keeps per-class counts of the live source over a rolling window and plots
+ * them as a line chart on a canvas. Session statistics next to the chart
+ * show each class's peak and average count, how many distinct tracked
+ * objects were seen and how long keyword matches were visible in total.
+ */
+
+import { getBoxColor, escapeHtml } from './ui.js';
+
+/**
+ * Length of the plotted window in milliseconds
+ * @type {number}
+ */
+const WINDOW_MS = 60000;
+
+/**
+ * Most classes plotted at once; the ones with the highest peaks win
+ * @type {number}
+ */
+const MAX_PLOTTED_CLASSES = 8;
+
+/**
+ * Longest gap between frames still counted as visible time, in milliseconds
+ * Longer gaps (paused detection, a hidden tab) would otherwise inflate it
+ * @type {number}
+ */
+const MAX_FRAME_GAP_MS = 1000;
+
+/**
+ * Minimum time between two redraws in milliseconds
+ * @type {number}
+ */
+const RENDER_INTERVAL_MS = 500;
+
+/**
+ * Counts within the window, oldest first
+ * @type {Array<{time: number, counts: Object.<string, number>}>}
+ */
+let samples = [];
+
+/**
+ * Session statistics per class name: class ID for the colour, highest count and sum over all frames
+ * @type {Map<string, {classId: number, peak: number, sum: number}>}
+ */
+let classStats = new Map();
+
+/**
+ * Frames recorded this session, for the averages
+ * @type {number}
+ */
+let frameCount = 0;
+
+/**
+ * IDs of every tracked object seen this session
+ * @type {Set<string>}
+ */
+let seenTrackIds = new Set();
+
+/**
+ * Total time keyword matches were on screen, in milliseconds
+ * @type {number}
+ */
+let keywordVisibleMs = 0;
+
+/**
+ * Time of the previous recorded frame, null before the first
+ * @type {number|null}
+ */
+let lastFrameTime = null;
+
+/**
+ * Time of the last redraw
+ * @type {number}
+ */
+let lastRenderTime = 0;
+
+/**
+ * Adds one frame of tracked detections to the statistics
+ * 
+ * @param {Array<Object>} detections - Visible tracked detections with id, class and className
+ * @param {number} keywordCount - Detections matching the search keyword
+ * @param {number} [now] - Frame time in milliseconds
+ */
+export function recordDashboardFrame(detections, keywordCount, now = Date.now()) {
+  const counts = {};
+  for (const detection of detections) {
+    counts[detection.className] = (counts[detection.className] || 0) + 1;
+    seenTrackIds.add(detection.id);
+    
+    if (!classStats.has(detection.className)) {
+      classStats.set(detection.className, { classId: detection.class, peak: 0, sum: 0 });
+    }
+  }
+  
+  frameCount++;
+  for (const [className, stats] of classStats) {
+    const count = counts[className] || 0;
+    stats.peak = Math.max(stats.peak, count);
+    stats.sum += count;
+  }
+  
+  // Credit the time since the previous frame to the keyword if it is visible now
+  if (keywordCount > 0 && lastFrameTime !== null) {
+    keywordVisibleMs += Math.min(now - lastFrameTime, MAX_FRAME_GAP_MS);
+  }
+  lastFrameTime = now;
+  
+  samples.push({ time: now, counts });
+  while (samples.length > 0 && samples[0].time < now - WINDOW_MS) {
+    samples.shift();
+  }
+}
+
+/**
+ * Clears every statistic and starts a new session
+ */
+export function resetDashboard() {
+  samples = [];
+  classStats = new Map();
+  frameCount = 0;
+  seenTrackIds = new Set();
+  keywordVisibleMs = 0;
+  lastFrameTime = null;
+}
+
+/**
+ * Formats a duration as minutes and seconds
+ * 
+ * @param {number} ms - Duration in milliseconds
+ * @returns {string} Duration such as "3m 05s"
+ */
+function formatDuration(ms) {
+  const totalSeconds = Math.round(ms / 1000);
+  const minutes = Math.floor(totalSeconds / 60);
+  const seconds = String(totalSeconds % 60).padStart(2, "0");
+  return minutes > 0 ? `${minutes}m ${seconds}s` : `${totalSeconds}s`;
+}
+
+/**
+ * Redraws the dashboard if it is open
+ * Calls closer together than RENDER_INTERVAL_MS are skipped unless forced
+ * 
+ * @param {string} keyword - Current search keyword
+ * @param {boolean} [force] - Redraw even if the last redraw was recent
+ */
+export function renderDashboard(keyword, force = false) {
+  const panel = document.getElementById("dashboard");
+  if (!panel || !panel.open) return;
+  
+  const now = Date.now();
+  if (!force && now - lastRenderTime < RENDER_INTERVAL_MS) return;
+  lastRenderTime = now;
+  
+  // Plot the classes with the highest peaks within the window
+  const windowPeaks = new Map();
+  for (const sample of samples) {
+    for (const [className, count] of Object.entries(sample.counts)) {
+      windowPeaks.set(className, Math.max(windowPeaks.get(className) || 0, count));
+    }
+  }
+  const plotted = [...windowPeaks.entries()]
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, MAX_PLOTTED_CLASSES)
+    .map(([className]) => className);
+  
+  drawChart(document.getElementById("dashboardChart"), plotted, now);
+  
+  document.getElementById("dashboardSummary").innerHTML = `
+    <span>Unique objects: ${seenTrackIds.size}</span>
+    ${keyword ? `<span>"${escapeHtml(keyword)}" visible: ${formatDuration(keywordVisibleMs)}</span>` : ''}
+    <span>Frames: ${frameCount}</span>
+  `;
+  
+  const rows = [...classStats.entries()]
+    .sort((a, b) => b[1].peak - a[1].peak)
+    .map(([className, stats]) => `
+      <tr>
+        <td><span class="swatch" style="background: ${getBoxColor(stats.classId, false)}"></span> ${escapeHtml(className)}</td>
+        <td>${stats.peak}</td>
+        <td>${(stats.sum / frameCount).toFixed(2)}</td>
+      </tr>
+    `).join("");
+  document.getElementById("dashboardTable").innerHTML =
+    `<tr><th>Class</th><th>Peak</th><th>Average</th></tr>${rows}`;
+}
+
+/**
+ * Draws the count of each plotted class over the window as a line chart
+ * 
+ * @param {HTMLCanvasElement} canvas - Chart canvas
+ * @param {Array<string>} classNames - Classes to plot
+ * @param {number} now - Right edge of the chart in milliseconds
+ */
+function drawChart(canvas, classNames, now) {
+  // Match the canvas resolution to its CSS size so lines stay sharp
+  const ratio = window.devicePixelRatio || 1;
+  const width = canvas.clientWidth;
+  const height = canvas.clientHeight;
+  canvas.width = Math.round(width * ratio);
+  canvas.height = Math.round(height * ratio);
+  
+  const context = canvas.getContext("2d");
+  context.setTransform(ratio, 0, 0, ratio, 0, 0);
+  context.clearRect(0, 0, width, height);
+  context.font = "11px Arial, sans-serif";
+  
+  const margin = { left: 30, right: 10, top: 10, bottom: 20 };
+  const plotWidth = width - margin.left - margin.right;
+  const plotHeight = height - margin.top - margin.bottom;
+  const maxCount = Math.max(1, ...samples.flatMap(sample => classNames.map(name => sample.counts[name] || 0)));
+  
+  const toX = time => margin.left + (1 - (now - time) / WINDOW_MS) * plotWidth;
+  const toY = count => margin.top + (1 - count / maxCount) * plotHeight;
+  
+  // Horizontal grid lines with whole-number count labels
+  const step = Math.max(1, Math.ceil(maxCount / 4));
+  context.strokeStyle = "#e0e0e0";
+  context.fillStyle = "#666";
+  context.lineWidth = 1;
+  context.textAlign = "right";
+  context.textBaseline = "middle";
+  for (let count = 0; count <= maxCount; count += step) {
+    context.beginPath();
+    context.moveTo(margin.left, toY(count));
+    context.lineTo(width - margin.right, toY(count));
+    context.stroke();
+    context.fillText(String(count), margin.left - 4, toY(count));
+  }
+  
+  // Time axis labels at both ends of the window
+  context.textBaseline = "top";
+  context.textAlign = "left";
+  context.fillText(`-${WINDOW_MS / 1000}s`, margin.left, height - margin.bottom + 4);
+  context.textAlign = "right";
+  context.fillText("now", width - margin.right, height - margin.bottom + 4);
+  
+  // One line per class; a class missing from a frame counts as zero there
+  context.lineWidth = 2;
+  for (const className of classNames) {
+    context.strokeStyle = getBoxColor(classStats.get(className).classId, false);
+    context.beginPath();
+    samples.forEach((sample, index) => {
+      const x = toX(sample.time);
+      const y = toY(sample.counts[className] || 0);
+      if (index === 0) context.moveTo(x, y);
+      else context.lineTo(x, y);
+    });
+    context.stroke();
+  }
+}
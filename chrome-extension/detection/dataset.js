@@ -0,0 +1,247 @@
+/**
+ * Auto-labelling dataset builder
+ * 
+ * Captured frames are kept in memory together with their detections, which
+ * serve as draft labels until reviewed. The dataset can be exported as a zip
+ * in YOLO format (images, one label txt per image and data.yaml) or COCO
+ * format (images and a single annotations JSON).
+ * 
+ * Boxes are stored in source pixels as [x1, y1, x2, y2].
+ */
+
+import { zipSync, strToU8 } from 'fflate';
+import yaml from 'js-yaml';
+
+/**
+ * Captured samples in capture order
+ * @type {Array<{id: number, fileName: string, width: number, height: number, image: Blob, annotations: Array<Object>}>}
+ */
+let samples = [];
+
+/**
+ * Counter used for sample IDs and image file names
+ * @type {number}
+ */
+let nextSampleId = 1;
+
+/**
+ * Returns all captured samples
+ * @returns {Array<Object>} Captured samples
+ */
+export function getSamples() {
+  return samples;
+}
+
+/**
+ * Returns a captured sample by ID
+ * 
+ * @param {number} sampleId - Sample ID
+ * @returns {Object|undefined} The sample, if it still exists
+ */
+export function getSample(sampleId) {
+  return samples.find(sample => sample.id === sampleId);
+}
+
+/**
+ * Clips a box to the image bounds
+ * 
+ * @param {Array<number>} box - Box [x1, y1, x2, y2] in source pixels
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @returns {Array<number>} Clipped box
+ */
+function clipBox([x1, y1, x2, y2], width, height) {
+  const clamp = (value, max) => Math.min(Math.max(value, 0), max);
+  return [clamp(x1, width), clamp(y1, height), clamp(x2, width), clamp(y2, height)];
+}
+
+/**
+ * Adds a captured frame and its detections to the dataset
+ * 
+ * @param {Blob} image - Encoded frame
+ * @param {number} width - Frame width in pixels
+ * @param {number} height - Frame height in pixels
+ * @param {Array<{class: number, className: string, sourceBox: Array<number>}>} detections - Draft labels
+ * @returns {Object} The new sample
+ */
+export function addSample(image, width, height, detections) {
+  const id = nextSampleId++;
+  const extension = image.type === "image/png" ? "png" : "jpg";
+  
+  const sample = {
+    id,
+    fileName: `frame_${String(id).padStart(5, "0")}.${extension}`,
+    width,
+    height,
+    image,
+    annotations: detections
+      .map(detection => ({
+        class: detection.class,
+        className: detection.className,
+        box: clipBox(detection.sourceBox, width, height)
+      }))
+      // Boxes entirely outside the frame clip to nothing
+      .filter(({ box }) => box[2] > box[0] && box[3] > box[1])
+  };
+  
+  samples.push(sample);
+  return sample;
+}
+
+/**
+ * Removes a sample from the dataset
+ * @param {number} sampleId - Sample ID
+ */
+export function removeSample(sampleId) {
+  samples = samples.filter(sample => sample.id !== sampleId);
+}
+
+/**
+ * Removes one box from a sample
+ * 
+ * @param {number} sampleId - Sample ID
+ * @param {number} index - Index of the box in the sample's annotations
+ */
+export function removeAnnotation(sampleId, index) {
+  const sample = getSample(sampleId);
+  if (sample) sample.annotations.splice(index, 1);
+}
+
+/**
+ * Changes the class of one box
+ * 
+ * @param {number} sampleId - Sample ID
+ * @param {number} index - Index of the box in the sample's annotations
+ * @param {number} classId - New class ID
+ * @param {string} className - New class name
+ */
+export function setAnnotationClass(sampleId, index, classId, className) {
+  const annotation = getSample(sampleId)?.annotations[index];
+  if (annotation) {
+    annotation.class = classId;
+    annotation.className = className;
+  }
+}
+
+/**
+ * Adds a manually drawn box to a sample
+ * 
+ * @param {number} sampleId - Sample ID
+ * @param {number} classId - Class ID of the box
+ * @param {string} className - Class name of the box
+ * @param {Array<number>} box - Box [x1, y1, x2, y2] in source pixels
+ */
+export function addAnnotation(sampleId, classId, className, box) {
+  const sample = getSample(sampleId);
+  if (sample) {
+    sample.annotations.push({ class: classId, className, box: clipBox(box, sample.width, sample.height) });
+  }
+}
+
+/**
+ * Removes every sample
+ */
+export function clearDataset() {
+  samples = [];
+}
+
+/**
+ * Reads every sample image into zip entries
+ * 
+ * @param {string} folder - Folder inside the zip
+ * @returns {Promise<Object.<string, Array>>} Zip entries keyed by path
+ */
+async function imageEntries(folder) {
+  const entries = {};
+  for (const sample of samples) {
+    // Images are already compressed, so store them as they are
+    entries[`${folder}/${sample.fileName}`] = [new Uint8Array(await sample.image.arrayBuffer()), { level: 0 }];
+  }
+  return entries;
+}
+
+/**
+ * Formats a number for a YOLO label file
+ * 
+ * @param {number} value - Normalized coordinate
+ * @returns {string} Value with six decimals
+ */
+function formatCoordinate(value) {
+  return value.toFixed(6);
+}
+
+/**
+ * Exports the dataset as a YOLO-format zip
+ * Each image gets a label file of "class cx cy w h" lines normalized to 0-1,
+ * and data.yaml lists the class names
+ * 
+ * @param {Object.<number, string>} classNames - Class names of the model, keyed by class ID
+ * @returns {Promise<Blob>} Zip archive
+ */
+export async function exportYolo(classNames) {
+  const entries = await imageEntries("images");
+  
+  for (const sample of samples) {
+    const lines = sample.annotations.map(({ class: classId, box: [x1, y1, x2, y2] }) => [
+      classId,
+      formatCoordinate((x1 + x2) / 2 / sample.width),
+      formatCoordinate((y1 + y2) / 2 / sample.height),
+      formatCoordinate((x2 - x1) / sample.width),
+      formatCoordinate((y2 - y1) / sample.height)
+    ].join(" "));
+    
+    const labelName = sample.fileName.replace(/\.[^.]+$/, ".txt");
+    entries[`labels/${labelName}`] = strToU8(lines.join("\n") + (lines.length ? "\n" : ""));
+  }
+  
+  entries["data.yaml"] = strToU8(yaml.dump({
+    path: ".",
+    train: "images",
+    val: "images",
+    // Class IDs run from 0, so the names list is indexed by class ID
+    names: Object.values(classNames)
+  }));
+  
+  return new Blob([zipSync(entries)], { type: "application/zip" });
+}
+
+/**
+ * Exports the dataset as a COCO-format zip
+ * Category IDs are the model's class IDs plus one, since COCO IDs start at 1
+ * 
+ * @param {Object.<number, string>} classNames - Class names of the model, keyed by class ID
+ * @returns {Promise<Blob>} Zip archive
+ */
+export async function exportCoco(classNames) {
+  const entries = await imageEntries("images");
+  let annotationId = 1;
+  
+  const coco = {
+    info: {
+      description: "Auto-labelled frames from the Object Detection extension",
+      date_created: new Date().toISOString()
+    },
+    images: samples.map(sample => ({
+      id: sample.id,
+      file_name: sample.fileName,
+      width: sample.width,
+      height: sample.height
+    })),
+    annotations: samples.flatMap(sample => sample.annotations.map(({ class: classId, box: [x1, y1, x2, y2] }) => ({
+      id: annotationId++,
+      image_id: sample.id,
+      category_id: classId + 1,
+      bbox: [x1, y1, x2 - x1, y2 - y1].map(value => Math.round(value * 100) / 100),
+      area: Math.round((x2 - x1) * (y2 - y1) * 100) / 100,
+      iscrowd: 0
+    }))),
+    categories: Object.entries(classNames).map(([classId, name]) => ({
+      id: Number(classId) + 1,
+      name,
+      supercategory: "object"
+    }))
+  };
+  
+  entries["annotations.json"] = strToU8(JSON.stringify(coco, null, 2));
+  return new Blob([zipSync(entries)], { type: "application/zip" });
+}
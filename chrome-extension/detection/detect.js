@@ -1,13 +1,22 @@
 import * as tf from '@tensorflow/tfjs';
-import { getModel, getClassNames } from './model.js';
+import { getModel, getModelInfo, getClassNames, splitModelOutputs, hasDynamicBatch } from './model.js';
+import { getSettings } from './settings.js';
+import { computeIoU, toSourceBox, toSourcePoint, splitIntoTiles } from './geometry.js';
 
 // Throttling configuration
 let DETECTION_INTERVAL = 200;  // Initial/fallback value
 const MIN_INTERVAL = 0;        // Minimum interval (0 = unlimited)
 const MAX_INTERVAL = 500;      // Maximum interval (throttle floor)
-let frameTimings = [];         // Store recent frame times
+let frameTimings = [];         // Store recent frame times, per model pass
 const MAX_SAMPLES = 10;        // Number of samples to average
 
+// Segmentation mask configuration
+const MASK_SIZE = 64;          // Each mask is resampled to this size over its box
+const MASK_THRESHOLD = 0.5;    // Mask probability above which a pixel belongs to the object
+
+// Tiled inference configuration
+const MAX_TILE_BATCH = 4;      // Most tiles sent through the model in one call
+
 /**
  * Returns a dynamically calculated detection interval
  * based on recent processing performance
@@ -16,15 +25,17 @@ const MAX_SAMPLES = 10;        // Number of samples to average
 export function getDetectionInterval() {
   // If we have timing data, calculate adaptive interval
   if (frameTimings.length >= 5) {
-    // Calculate average processing time
-    const avgTime = frameTimings.reduce((sum, time) => sum + time, 0) / frameTimings.length;
+    // Calculate average processing time for the number of passes a frame takes now,
+    // so switching tiled inference on or off takes effect on the next frame
+    const passes = getPassesPerFrame();
+    const avgTime = passes * frameTimings.reduce((sum, time) => sum + time, 0) / frameTimings.length;
     
     // Set target to be slightly above average processing time
     // This prevents queueing frames faster than they can be processed
     let adaptiveInterval = avgTime * 1.2;
     
-    // Clamp to reasonable range
-    adaptiveInterval = Math.max(MIN_INTERVAL, Math.min(MAX_INTERVAL, adaptiveInterval));
+    // Clamp to reasonable range; tiled frames are allowed to take proportionally longer
+    adaptiveInterval = Math.max(MIN_INTERVAL, Math.min(MAX_INTERVAL * passes, adaptiveInterval));
     
     return adaptiveInterval;
   }
@@ -38,7 +49,7 @@ export function getDetectionInterval() {
  * @param {number} time - Processing time in milliseconds
  */
 export function recordFrameTiming(time) {
-  frameTimings.push(time);
+  frameTimings.push(time / getPassesPerFrame());
   
   // Keep array at reasonable size
   if (frameTimings.length > MAX_SAMPLES) {
@@ -48,162 +59,41 @@ export function recordFrameTiming(time) {
 
 /**
  * Main detection function that processes a video frame and returns object detections
- * @param {HTMLVideoElement} videoElement - The video element to capture frames from
+ * 
+ * With a region the frame is cropped to it first, so the region alone is
+ * scaled to the model input. paddingInfo then records the region's offset.
+ * 
+ * @param {HTMLVideoElement|HTMLImageElement|ImageBitmap|tf.Tensor3D} source - Frame to process, or its pixels
+ * @param {Array<number>|null} [region] - Crop [x1, y1, x2, y2] in source pixels, null for the whole frame
  * @returns {Object} Object containing processed detections and padding information
  */
-export async function processFrame(videoElement) {
+export async function processFrame(source, region = null) {
   const model = getModel();
-  const classNames = getClassNames();
   
   // Validate required inputs are available
-  if (!model || !videoElement) {
+  if (!model || !source) {
     throw new Error("Model or video not available");
   }
   
-  // YOLO model input dimensions
-  const modelWidth = 640;
-  const modelHeight = 640;
-  
   // Start TensorFlow memory scope to manage tensor disposal
   tf.engine().startScope();
   
   try {
-    // Process video element directly
-    const [inputTensor, paddingInfo] = tf.tidy(() => {
-      // Convert video frame to tensor
-      const img = tf.browser.fromPixels(videoElement);
-      
-      // Get original dimensions
-      const [h, w] = img.shape.slice(0, 2);
-      
-      // Calculate scaling to fit within model dimensions while preserving aspect ratio
-      const scale = Math.min(modelWidth / w, modelHeight / h);
-      const newWidth = Math.round(w * scale);
-      const newHeight = Math.round(h * scale);
-      
-      // Resize the image to fit model dimensions
-      const resized = tf.image.resizeBilinear(img, [newHeight, newWidth]);
-      
-      // Calculate padding to center the image within model dimensions
-      const padTop = Math.floor((modelHeight - newHeight) / 2);
-      const padLeft = Math.floor((modelWidth - newWidth) / 2);
-      const padBottom = modelHeight - newHeight - padTop;
-      const padRight = modelWidth - newWidth - padLeft;
-      
-      // Add padding to make image exactly match model dimensions
-      const padded = tf.pad(resized, [
-        [padTop, padBottom],
-        [padLeft, padRight],
-        [0, 0]
-      ]);
-      
-      // Return normalized tensor and metadata about transformations
-      return [
-        padded.div(255.0).expandDims(0), // Normalize to [0,1] and add batch dimension
-        { 
-          scale: scale,
-          padLeft: padLeft, 
-          padTop: padTop,
-          originalShape: [h, w] 
-        }
-      ];
-    });
+    // Process video element or frame directly
+    const [inputTensor, paddingInfo] = prepareInput(source, region);
     
     // Run inference on the prepared tensor
     const outputs = await model.execute(inputTensor);
-    const processedDetections = [];
+    const { predictions, protos } = splitModelOutputs(outputs);
+    let processedDetections = [];
     
     try {
-      let transposed, boxes, scores, classes, nms, boxes_data, scores_data, classes_data;
-      
-      try {
-        // Post-process model output to get detection boxes, scores, and classes
-        [transposed, boxes, scores, classes] = tf.tidy(() => {
-          // Transpose model output to correct dimensions
-          const trans = tf.transpose(outputs, [0, 2, 1]);
-          
-          // Extract width and height from model output
-          const w = trans.slice([0, 0, 2], [-1, -1, 1]);
-          const h = trans.slice([0, 0, 3], [-1, -1, 1]);
-          
-          // Calculate box coordinates from center, width, height
-          const x1 = tf.sub(trans.slice([0, 0, 0], [-1, -1, 1]), tf.div(w, 2));
-          const y1 = tf.sub(trans.slice([0, 0, 1], [-1, -1, 1]), tf.div(h, 2));
-          
-          // Construct boxes in [y1, x1, y2, x2] format for NMS
-          const boxesResult = tf.concat(
-            [
-              y1, x1,
-              tf.add(y1, h),
-              tf.add(x1, w),
-            ],
-            2
-          ).squeeze();
-          
-          // Extract class scores from output
-          const numClasses = 80;  // Number of COCO dataset classes
-          const rawScores = trans.slice([0, 0, 4], [-1, -1, numClasses]).squeeze(0);
-          
-          // Keep tensors from being garbage collected
-          tf.keep(trans);
-          tf.keep(boxesResult);
-          
-          // Get max score and corresponding class for each detection
-          const maxScores = rawScores.max(1);
-          const classIndices = rawScores.argMax(1);
-          tf.keep(maxScores);
-          tf.keep(classIndices);
-          
-          return [trans, boxesResult, maxScores, classIndices];
-        });
-        
-        // Apply non-maximum suppression to filter overlapping boxes
-        const confidenceThreshold = 0.4;  // Minimum confidence score
-        const iouThreshold = 0.45;          // Intersection over Union threshold
-        nms = await tf.image.nonMaxSuppressionAsync(
-          boxes, scores, 100, confidenceThreshold, iouThreshold
-        );
-        
-        // Convert tensor outputs to JavaScript arrays
-        boxes_data = boxes.gather(nms, 0).dataSync();
-        scores_data = scores.gather(nms, 0).dataSync();
-        classes_data = classes.gather(nms, 0).dataSync();
-        
-        // Format detections for UI rendering
-        for (let i = 0; i < scores_data.length; i++) {
-          const score = scores_data[i];
-          const classId = classes_data[i];
-          const className = classNames[classId] || `Unknown (${classId})`;
-          
-          // Extract box coordinates
-          const y1 = boxes_data[i * 4];
-          const x1 = boxes_data[i * 4 + 1];
-          const y2 = boxes_data[i * 4 + 2];
-          const x2 = boxes_data[i * 4 + 3];
-          
-          // Store detection information
-          processedDetections.push({
-            box: [x1, y1, x2, y2],  // Box coordinates [x1, y1, x2, y2]
-            score: score,            // Confidence score (0-1)
-            class: classId,          // Class ID
-            className: className      // Human-readable class name
-          });
-        }
-      } finally {
-        // Clean up tensors to prevent memory leaks
-        if (transposed && !transposed.isDisposed) transposed.dispose();
-        if (boxes && !boxes.isDisposed) boxes.dispose();
-        if (scores && !scores.isDisposed) scores.dispose();
-        if (classes && !classes.isDisposed) classes.dispose();
-        if (nms && !nms.isDisposed) nms.dispose();
-      }
+      processedDetections = await decodeOutputs(predictions, protos);
     } catch (err) {
       console.error("Error processing model output:", err);
     } finally {
-      // Final cleanup of outputs tensor
-      if (outputs && !outputs.isDisposed) {
-        outputs.dispose();
-      }
+      // Final cleanup of output tensors (segment models return several)
+      tf.dispose(outputs);
       tf.engine().endScope();
     }
     
@@ -216,47 +106,582 @@ export async function processFrame(videoElement) {
 }
 
 /**
- * Tracks objects between frames by finding matching detections
- * @param {Object} detection - Current detection to match
- * @param {Array} previousDetections - Array of detections from previous frame
- * @returns {Object|null} Matching detection from previous frame or null if no match
+ * Letterboxes a frame, or a crop of it, into a normalized model input tensor
+ * 
+ * @param {HTMLVideoElement|HTMLImageElement|ImageBitmap|tf.Tensor3D} source - Frame to process, or its pixels
+ * @param {Array<number>|null} region - Crop [x1, y1, x2, y2] in source pixels, null for the whole frame
+ * @returns {Array} Input tensor [1, modelHeight, modelWidth, 3] and the padding info to map boxes back
+ */
+function prepareInput(source, region) {
+  const { inputSize: [modelHeight, modelWidth] } = getModelInfo();
+  
+  return tf.tidy(() => {
+    // Convert video frame to tensor, cropped to the region if there is one
+    const pixels = source instanceof tf.Tensor ? source : tf.browser.fromPixels(source);
+    const [offsetX, offsetY] = region ? [Math.round(region[0]), Math.round(region[1])] : [0, 0];
+    const img = region
+      ? pixels.slice(
+        [offsetY, offsetX, 0],
+        [Math.round(region[3]) - offsetY, Math.round(region[2]) - offsetX, 3]
+      )
+      : pixels;
+    
+    // Get original dimensions
+    const [h, w] = img.shape.slice(0, 2);
+    
+    // Calculate scaling to fit within model dimensions while preserving aspect ratio
+    const scale = Math.min(modelWidth / w, modelHeight / h);
+    const newWidth = Math.round(w * scale);
+    const newHeight = Math.round(h * scale);
+    
+    // Resize the image to fit model dimensions
+    const resized = tf.image.resizeBilinear(img, [newHeight, newWidth]);
+    
+    // Calculate padding to center the image within model dimensions
+    const padTop = Math.floor((modelHeight - newHeight) / 2);
+    const padLeft = Math.floor((modelWidth - newWidth) / 2);
+    const padBottom = modelHeight - newHeight - padTop;
+    const padRight = modelWidth - newWidth - padLeft;
+    
+    // Add padding to make image exactly match model dimensions
+    const padded = tf.pad(resized, [
+      [padTop, padBottom],
+      [padLeft, padRight],
+      [0, 0]
+    ]);
+    
+    // Return normalized tensor and metadata about transformations
+    return [
+      padded.div(255.0).expandDims(0), // Normalize to [0,1] and add batch dimension
+      { 
+        scale: scale,
+        padLeft: padLeft, 
+        padTop: padTop,
+        offsetX: offsetX,
+        offsetY: offsetY,
+        originalShape: [h, w] 
+      }
+    ];
+  });
+}
+
+/**
+ * Turns the raw outputs of one model input into detections
+ * Applies class thresholds and NMS, then decodes masks and keypoints for the kept boxes
+ * 
+ * @param {tf.Tensor3D} predictions - Model predictions [1, channels, anchors]
+ * @param {tf.Tensor4D|null} protos - Prototype masks [1, protoHeight, protoWidth, maskChannels] of segment models
+ * @returns {Promise<Array<Object>>} Detections with boxes in model input pixels
+ */
+async function decodeOutputs(predictions, protos) {
+  const classNames = getClassNames();
+  
+  // YOLO model input dimensions and class count, read from the model's metadata
+  const { inputSize: [modelHeight, modelWidth], numClasses, task, kptShape } = getModelInfo();
+  const processedDetections = [];
+  
+  let transposed, boxes, scores, classes, nms, boxes_data, scores_data, classes_data;
+  let filteredScores, nmsBoxes, coefficients, masks_data, keypoints_data;
+  
+  try {
+    // Post-process model output to get detection boxes, scores, and classes
+    [transposed, boxes, scores, classes] = tf.tidy(() => {
+      // Transpose model output to correct dimensions
+      const trans = tf.transpose(predictions, [0, 2, 1]);
+      
+      // Extract width and height from model output
+      const w = trans.slice([0, 0, 2], [-1, -1, 1]);
+      const h = trans.slice([0, 0, 3], [-1, -1, 1]);
+      
+      // Calculate box coordinates from center, width, height
+      const x1 = tf.sub(trans.slice([0, 0, 0], [-1, -1, 1]), tf.div(w, 2));
+      const y1 = tf.sub(trans.slice([0, 0, 1], [-1, -1, 1]), tf.div(h, 2));
+      
+      // Construct boxes in [y1, x1, y2, x2] format for NMS
+      const boxesResult = tf.concat(
+        [
+          y1, x1,
+          tf.add(y1, h),
+          tf.add(x1, w),
+        ],
+        2
+      ).squeeze();
+      
+      // Extract class scores from output
+      const rawScores = trans.slice([0, 0, 4], [-1, -1, numClasses]).squeeze(0);
+      
+      // Keep tensors from being garbage collected
+      tf.keep(trans);
+      tf.keep(boxesResult);
+      
+      // Get max score and corresponding class for each detection
+      const maxScores = rawScores.max(1);
+      const classIndices = rawScores.argMax(1);
+      tf.keep(maxScores);
+      tf.keep(classIndices);
+      
+      return [trans, boxesResult, maxScores, classIndices];
+    });
+    
+    // Segment heads follow the class scores with one coefficient per prototype mask
+    if (protos) {
+      const maskChannels = protos.shape[3];
+      coefficients = tf.tidy(() =>
+        transposed.slice([0, 0, 4 + numClasses], [-1, -1, maskChannels]).squeeze(0)
+      );
+    }
+    
+    // Thresholds are user-adjustable and read fresh for every frame
+    const { iouThreshold, maxDetections, perClassNms } = getSettings();
+    const classThresholds = getClassThresholdArray(numClasses);
+    const minThreshold = Math.min(...classThresholds);
+    
+    [filteredScores, nmsBoxes] = tf.tidy(() => {
+      // Zero out scores below their class threshold before NMS,
+      // so rejected boxes can't suppress boxes that pass
+      const thresholds = tf.tensor1d(classThresholds).gather(classes);
+      const passing = tf.greaterEqual(scores, thresholds);
+      const filtered = tf.where(passing, scores, tf.zerosLike(scores));
+      
+      if (!perClassNms) {
+        return [filtered, boxes.clone()];
+      }
+      
+      // Shift each class into its own coordinate range so boxes
+      // of different classes never overlap during a single NMS pass
+      const offset = Math.max(modelWidth, modelHeight) * 2;
+      const shift = classes.cast('float32').mul(offset).expandDims(1);
+      return [filtered, boxes.add(shift)];
+    });
+    
+    // Apply non-maximum suppression to filter overlapping boxes
+    nms = await tf.image.nonMaxSuppressionAsync(
+      nmsBoxes, filteredScores, maxDetections, minThreshold, iouThreshold
+    );
+    
+    // Convert tensor outputs to JavaScript arrays
+    boxes_data = boxes.gather(nms, 0).dataSync();
+    scores_data = scores.gather(nms, 0).dataSync();
+    classes_data = classes.gather(nms, 0).dataSync();
+    
+    // Decode a mask for every kept detection of a segment model
+    if (protos) {
+      masks_data = decodeMasks(protos, coefficients, boxes, nms, modelWidth, modelHeight);
+    }
+    
+    // Read the keypoints of every kept detection of a pose model
+    if (task === "pose") {
+      keypoints_data = decodeKeypoints(transposed, nms, 4 + numClasses, kptShape);
+    }
+    
+    // Format detections for UI rendering
+    for (let i = 0; i < scores_data.length; i++) {
+      const score = scores_data[i];
+      const classId = classes_data[i];
+      const className = classNames[classId] || `Unknown (${classId})`;
+      
+      // Extract box coordinates
+      const y1 = boxes_data[i * 4];
+      const x1 = boxes_data[i * 4 + 1];
+      const y2 = boxes_data[i * 4 + 2];
+      const x2 = boxes_data[i * 4 + 3];
+      
+      // Store detection information
+      const detection = {
+        box: [x1, y1, x2, y2],  // Box coordinates [x1, y1, x2, y2]
+        score: score,            // Confidence score (0-1)
+        class: classId,          // Class ID
+        className: className      // Human-readable class name
+      };
+      
+      // Masks cover exactly the detection box
+      if (masks_data) {
+        detection.mask = masks_data[i];
+      }
+      
+      // Keypoints are in model pixels, like the box
+      if (keypoints_data) {
+        detection.keypoints = keypoints_data[i];
+      }
+      
+      processedDetections.push(detection);
+    }
+  } finally {
+    // Clean up tensors to prevent memory leaks
+    if (transposed && !transposed.isDisposed) transposed.dispose();
+    if (boxes && !boxes.isDisposed) boxes.dispose();
+    if (scores && !scores.isDisposed) scores.dispose();
+    if (classes && !classes.isDisposed) classes.dispose();
+    if (nms && !nms.isDisposed) nms.dispose();
+    if (filteredScores && !filteredScores.isDisposed) filteredScores.dispose();
+    if (nmsBoxes && !nmsBoxes.isDisposed) nmsBoxes.dispose();
+    if (coefficients && !coefficients.isDisposed) coefficients.dispose();
+  }
+  
+  return processedDetections;
+}
+
+/**
+ * Padding info for detections whose boxes are already in source pixels
+ * @type {Object}
+ */
+const SOURCE_PIXELS = { scale: 1, padLeft: 0, padTop: 0, offsetX: 0, offsetY: 0 };
+
+/**
+ * Region covering the whole frame, normalized to 0-1
+ * @type {Array<number>}
+ */
+const WHOLE_FRAME = [0, 0, 1, 1];
+
+/**
+ * Runs detection on a frame the way the current settings ask for
+ * The whole frame goes through the model in one pass unless regions of
+ * interest are set or tiled inference is on
+ * 
+ * @param {HTMLVideoElement|HTMLImageElement|ImageBitmap} source - Frame to process
+ * @param {Array<Array<number>>} [regions] - Regions [x1, y1, x2, y2] normalized to 0-1, empty for the whole frame
+ * @returns {Promise<Object>} Object containing processed detections and padding information
+ */
+export async function processSource(source, regions = []) {
+  if (regions.length === 0 && !getSettings().tiledInference) {
+    return processFrame(source);
+  }
+  return processRegions(source, regions.length > 0 ? regions : [WHOLE_FRAME]);
+}
+
+/**
+ * Runs one detection on a blank frame with the active backend
+ * 
+ * The first inference on a backend compiles its kernels and uploads the
+ * weights, which can take far longer than a normal frame. Doing it before the
+ * model is reported as loaded keeps that delay out of the first real frame.
+ * 
+ * @returns {Promise<void>} Resolves once the warm-up inference has finished
  */
-export function findMatchingDetection(detection, previousDetections) {
-  // Add null check to prevent errors
-  if (!previousDetections || !Array.isArray(previousDetections) || previousDetections.length === 0) {
-    return null;
+export async function warmUpModel() {
+  const { inputSize: [height, width] } = getModelInfo();
+  const blank = tf.zeros([height, width, 3], "int32");
+  
+  try {
+    await processFrame(blank);
+  } finally {
+    blank.dispose();
   }
+}
+
+/**
+ * Returns how many model passes one frame takes with the current settings
+ * @returns {number} Number of crops run through the model per frame
+ */
+export function getPassesPerFrame() {
+  const { regions, tiledInference, tileRows, tileCols, tileFullFrame } = getSettings();
+  const crops = Math.max(1, regions.length);
+  return tiledInference ? crops * (tileRows * tileCols + (tileFullFrame ? 1 : 0)) : crops;
+}
+
+/**
+ * Runs detection separately on each region of a frame at full model resolution
+ * 
+ * Everything outside the regions is ignored. In tiled mode each region is
+ * further split into an overlapping grid of tiles, so small objects cover
+ * more model pixels. Boxes are mapped back to source pixels, and duplicates
+ * where regions or tiles overlap are merged by NMS or, in tiled mode,
+ * optionally by weighted box fusion. Like the NMS inside each crop, merging
+ * only compares boxes of the same class when per-class NMS is enabled.
+ * 
+ * @param {HTMLVideoElement|HTMLImageElement|ImageBitmap} source - Frame to process
+ * @param {Array<Array<number>>} regions - Regions [x1, y1, x2, y2] normalized to 0-1
+ * @returns {Promise<Object>} Detections in source pixels with identity padding info
+ */
+export async function processRegions(source, regions) {
+  const {
+    iouThreshold, maxDetections, perClassNms,
+    tiledInference, tileRows, tileCols, tileOverlap, tileFullFrame, tileMerge
+  } = getSettings();
   
-  // Ensure detection has a box property before accessing it
-  if (!detection || !detection.box) {
-    return null;
+  // Upload the frame once and crop every region from the same pixels
+  const pixels = tf.browser.fromPixels(source);
+  const [height, width] = pixels.shape;
+  const crops = [];
+  
+  for (const [x1, y1, x2, y2] of regions) {
+    const region = [
+      Math.max(0, x1 * width), Math.max(0, y1 * height),
+      Math.min(width, x2 * width), Math.min(height, y2 * height)
+    ];
+    
+    // Skip regions too small to hold anything once rounded to pixels
+    if (region[2] - region[0] < 2 || region[3] - region[1] < 2) continue;
+    
+    if (tiledInference) {
+      crops.push(...splitIntoTiles(region, tileRows, tileCols, tileOverlap));
+      // A pass over the whole region still catches objects larger than a tile
+      if (tileFullFrame) crops.push(region);
+    } else {
+      crops.push(region);
+    }
   }
   
-  // Try to find exact ID match first (fastest path)
-  if (detection.id) {
-    const exactMatch = previousDetections.find(p => p.id === detection.id);
-    if (exactMatch) return exactMatch;
+  let detections;
+  try {
+    detections = await detectInCrops(pixels, crops);
+  } finally {
+    pixels.dispose();
   }
   
-  // If no exact match, try to find similar object by position and class
-  for (const prev of previousDetections) {
-    // Must be the same class and have box property
-    if (prev.class === detection.class && prev.box) {
-      // Check if positions are close enough to be the same object
-      const [x1, y1] = detection.box;
-      const [px1, py1] = prev.box;
-      
-      // Calculate distance between centers
-      const dx = Math.abs(x1 - px1);
-      const dy = Math.abs(y1 - py1);
+  const merged = tiledInference && tileMerge === "wbf"
+    ? fuseDetections(detections, iouThreshold, { perClass: perClassNms, crops })
+    : mergeDetections(detections, iouThreshold, { perClass: perClassNms });
+  
+  return {
+    processedDetections: merged.slice(0, maxDetections),
+    paddingInfo: { ...SOURCE_PIXELS, originalShape: [height, width] }
+  };
+}
 
-      // If objects are within threshold distance, consider them the same
-      if (dx < 0.15 && dy < 0.15) {
-        return prev;
-      }
+/**
+ * Runs the model on several crops of the same pixels
+ * Crops are sent in batches when the model takes more than one image per
+ * call, and one after another otherwise
+ * 
+ * @param {tf.Tensor3D} pixels - Frame pixels
+ * @param {Array<Array<number>>} crops - Crops [x1, y1, x2, y2] in source pixels
+ * @returns {Promise<Array<Object>>} Detections of all crops in source pixels
+ */
+async function detectInCrops(pixels, crops) {
+  const detections = [];
+  const collect = ({ processedDetections, paddingInfo }) => {
+    processedDetections.forEach(detection => detections.push(toSourceDetection(detection, paddingInfo)));
+  };
+  
+  if (crops.length > 1 && hasDynamicBatch()) {
+    for (let i = 0; i < crops.length; i += MAX_TILE_BATCH) {
+      (await processBatch(pixels, crops.slice(i, i + MAX_TILE_BATCH))).forEach(collect);
+    }
+  } else {
+    for (const crop of crops) {
+      collect(await processFrame(pixels, crop));
+    }
+  }
+  return detections;
+}
+
+/**
+ * Runs the model once on a batch of crops
+ * Only for models with a dynamic batch dimension
+ * 
+ * @param {tf.Tensor3D} pixels - Frame pixels
+ * @param {Array<Array<number>>} crops - Crops [x1, y1, x2, y2] in source pixels
+ * @returns {Promise<Array<Object>>} Processed detections and padding info for each crop, in order
+ */
+async function processBatch(pixels, crops) {
+  const model = getModel();
+  if (!model) {
+    throw new Error("Model or video not available");
+  }
+  
+  // Every tensor created for the batch is released when the scope ends
+  tf.engine().startScope();
+  
+  try {
+    const inputs = crops.map(crop => prepareInput(pixels, crop));
+    const outputs = await model.execute(tf.concat(inputs.map(([inputTensor]) => inputTensor), 0));
+    const { predictions, protos } = splitModelOutputs(outputs);
+    const results = [];
+    
+    // Decode each batch item on its own, as if it had been run alone
+    for (let i = 0; i < crops.length; i++) {
+      const itemPredictions = predictions.slice([i, 0, 0], [1, -1, -1]);
+      const itemProtos = protos ? protos.slice([i, 0, 0, 0], [1, -1, -1, -1]) : null;
+      results.push({
+        processedDetections: await decodeOutputs(itemPredictions, itemProtos),
+        paddingInfo: inputs[i][1]
+      });
     }
+    return results;
+  } finally {
+    tf.engine().endScope();
   }
+}
+
+/**
+ * Maps a detection's box and keypoints from model input pixels to source pixels
+ * 
+ * @param {Object} detection - Detection from processFrame
+ * @param {Object} paddingInfo - Letterbox transform from processFrame
+ * @returns {Object} Copy of the detection in source pixels
+ */
+function toSourceDetection(detection, paddingInfo) {
+  const mapped = { ...detection, box: toSourceBox(detection.box, paddingInfo) };
+  if (detection.keypoints) {
+    mapped.keypoints = detection.keypoints.map(point => ({ ...point, ...toSourcePoint(point, paddingInfo) }));
+  }
+  return mapped;
+}
+
+/**
+ * Removes duplicate detections, keeping the highest scores
+ * 
+ * @param {Array<Object>} detections - Detections with boxes in a shared coordinate space
+ * @param {number} iouThreshold - Overlap above which the lower-scoring box is dropped
+ * @param {Object} [options]
+ * @param {boolean} [options.perClass=true] - Only treat boxes of the same class as duplicates
+ * @returns {Array<Object>} Kept detections, highest score first
+ */
+export function mergeDetections(detections, iouThreshold, { perClass = true } = {}) {
+  const sorted = [...detections].sort((a, b) => b.score - a.score);
+  const kept = [];
+  
+  for (const detection of sorted) {
+    const isDuplicate = kept.some(other =>
+      (!perClass || other.class === detection.class) && computeIoU(other.box, detection.box) > iouThreshold
+    );
+    if (!isDuplicate) kept.push(detection);
+  }
+  return kept;
+}
+
+/**
+ * Fuses overlapping detections by weighted box fusion
+ * 
+ * Unlike NMS, which keeps only the best box, each fused box is the
+ * score-weighted average of every box in its cluster. Its score is the sum of
+ * the cluster's scores divided by the number of crops that could have seen the
+ * object, or by the cluster size if larger, so an object found by only one of
+ * several overlapping tiles is scored down. Class, masks and keypoints come
+ * from the highest-scoring box.
+ * 
+ * @param {Array<Object>} detections - Detections with boxes in a shared coordinate space
+ * @param {number} iouThreshold - Overlap with a cluster's fused box above which a box joins it
+ * @param {Object} [options]
+ * @param {boolean} [options.perClass=true] - Only fuse boxes of the same class
+ * @param {Array<Array<number>>} [options.crops=[]] - Crops [x1, y1, x2, y2] the detections were found in
+ * @returns {Array<Object>} Fused detections, highest score first
+ */
+export function fuseDetections(detections, iouThreshold, { perClass = true, crops = [] } = {}) {
+  const sorted = [...detections].sort((a, b) => b.score - a.score);
+  const clusters = [];
+  
+  for (const detection of sorted) {
+    const cluster = clusters.find(other =>
+      (!perClass || other.best.class === detection.class) && computeIoU(other.box, detection.box) > iouThreshold
+    );
+    
+    if (!cluster) {
+      clusters.push({ best: detection, members: [detection], box: detection.box });
+      continue;
+    }
+    
+    cluster.members.push(detection);
+    const totalScore = cluster.members.reduce((sum, member) => sum + member.score, 0);
+    cluster.box = [0, 1, 2, 3].map(index =>
+      cluster.members.reduce((sum, member) => sum + member.box[index] * member.score, 0) / totalScore
+    );
+  }
+  
+  return clusters
+    .map(({ best, members, box }) => {
+      // Any crop the fused box reaches into could have detected the object
+      const overlappingCrops = crops.filter(crop => computeIoU(crop, box) > 0).length;
+      const totalScore = members.reduce((sum, member) => sum + member.score, 0);
+      return { ...best, box, score: totalScore / Math.max(members.length, overlappingCrops) };
+    })
+    .sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Decodes instance masks for the detections kept by NMS
+ * 
+ * Each mask is a linear combination of the prototype masks weighted by the
+ * detection's coefficients, passed through a sigmoid, cropped to the detection
+ * box and resampled to MASK_SIZE x MASK_SIZE.
+ * 
+ * @param {tf.Tensor4D} protos - Prototype masks [1, protoHeight, protoWidth, maskChannels]
+ * @param {tf.Tensor2D} coefficients - Mask coefficients for every anchor [anchors, maskChannels]
+ * @param {tf.Tensor2D} boxes - Boxes for every anchor in [y1, x1, y2, x2] model pixels
+ * @param {tf.Tensor1D} keep - Indices of the detections kept by NMS
+ * @param {number} modelWidth - Model input width
+ * @param {number} modelHeight - Model input height
+ * @returns {Array<{width: number, height: number, data: Uint8Array}>} Binary mask per detection
+ */
+function decodeMasks(protos, coefficients, boxes, keep, modelWidth, modelHeight) {
+  const count = keep.shape[0];
+  if (count === 0) return [];
+  
+  const maskTensor = tf.tidy(() => {
+    const [, protoHeight, protoWidth, maskChannels] = protos.shape;
+    const protoMatrix = protos.reshape([protoHeight * protoWidth, maskChannels]);
+    
+    // [count, maskChannels] x [maskChannels, pixels] gives one mask per detection
+    const logits = coefficients.gather(keep, 0).matMul(protoMatrix, false, true);
+    const masks = tf.sigmoid(logits).reshape([count, protoHeight, protoWidth, 1]);
+    
+    // Prototypes span the whole model input, so boxes are normalized by its size
+    const normalizedBoxes = boxes.gather(keep, 0)
+      .div(tf.tensor1d([modelHeight, modelWidth, modelHeight, modelWidth]));
+    const crops = tf.image.cropAndResize(
+      masks, normalizedBoxes, tf.range(0, count, 1, 'int32'), [MASK_SIZE, MASK_SIZE]
+    );
+    
+    return crops.greater(MASK_THRESHOLD);
+  });
+  const maskData = maskTensor.dataSync();
+  maskTensor.dispose();
+  
+  const maskArea = MASK_SIZE * MASK_SIZE;
+  return Array.from({ length: count }, (_, i) => ({
+    width: MASK_SIZE,
+    height: MASK_SIZE,
+    data: maskData.slice(i * maskArea, (i + 1) * maskArea)
+  }));
+}
+
+/**
+ * Reads the keypoints of the detections kept by NMS
+ * 
+ * Pose heads follow the class scores with x, y and (for 3-value keypoints)
+ * a visibility score per keypoint, already decoded to model pixels.
+ * 
+ * @param {tf.Tensor3D} transposed - Model output as [1, anchors, channels]
+ * @param {tf.Tensor1D} keep - Indices of the detections kept by NMS
+ * @param {number} offset - Channel where the keypoints start
+ * @param {Array<number>} kptShape - [keypoint count, values per keypoint]
+ * @returns {Array<Array<{x: number, y: number, score: number}>>} Keypoints per detection
+ */
+function decodeKeypoints(transposed, keep, offset, kptShape) {
+  const [keypointCount, valuesPerKeypoint] = kptShape;
+  const channels = keypointCount * valuesPerKeypoint;
+  const count = keep.shape[0];
+  
+  const data = tf.tidy(() =>
+    transposed.slice([0, 0, offset], [-1, -1, channels]).squeeze(0).gather(keep, 0).dataSync()
+  );
+  
+  return Array.from({ length: count }, (_, i) =>
+    Array.from({ length: keypointCount }, (_, k) => {
+      const base = i * channels + k * valuesPerKeypoint;
+      return {
+        x: data[base],
+        y: data[base + 1],
+        // 2-value keypoints have no visibility, so they always count as visible
+        score: valuesPerKeypoint > 2 ? data[base + 2] : 1
+      };
+    })
+  );
+}
+
+/**
+ * Builds the minimum confidence for every class ID
+ * Classes without a per-class override use the global confidence threshold
+ * @param {number} numClasses - Number of classes the model predicts
+ * @returns {Array<number>} Threshold for each class ID
+ */
+function getClassThresholdArray(numClasses) {
+  const { confidenceThreshold, classThresholds } = getSettings();
+  const classNames = getClassNames();
   
-  // No match found
-  return null;
+  return Array.from({ length: numClasses }, (_, classId) => {
+    const override = classThresholds[classNames[classId]];
+    return typeof override === 'number' ? override : confidenceThreshold;
+  });
 }
\ No newline at end of file
@@ -3,86 +3,631 @@
  * Coordinates between model, detection, and UI components
  */
 
-import { loadModel, loadClassNames, getModel, cleanupTensorflow } from './model.js';
+import { loadModelInfo, setModelInfo, getModelInfo, getClassNames } from './model.js';
+import { fetchRegistry, resolveModel } from './registry.js';
+import {
+  initInference, isInferenceReady, detectFrame, releaseInference, setInferenceBackend, switchModel
+} from './inference.js';
+import { getAvailableBackends } from './backend.js';
+import { loadSettings, getSettings, updateSetting, onSettingsChange } from './settings.js';
+import { parseQuery, matchesQuery, termMatchesClass, formatTerm, resolveQuery } from './query.js';
+import { fetchAliases } from './aliases.js';
+import { getDetectionInterval, recordFrameTiming } from './detect.js';
+import { updateTracks, resetTracker } from './tracker.js';
+import { toSourceBox, toSourcePoint, splitIntoTiles } from './geometry.js';
+import {
+  openScreen, openCamera, openFile, closeSource, getSourceType, isStillSource, getSourceSize
+} from './sources.js';
 import { 
-  processFrame, findMatchingDetection, getDetectionInterval, recordFrameTiming 
-} from './detect.js';
-import { 
-  createBoxElement, updateExistingBoxElement,
   updateDetectionStats, removeStats, showError, hideError,
-  updateButtonState, getBoxElements, resetBoxElements
+  updateButtonState, bindSettingControls,
+  populateClassOptions, renderClassThresholds, populateBackendOptions, populateModelOptions,
+  drawMasks, drawSkeletons, clearMasks, updateRecordingControls, downloadFile, drawTileGrid,
+  renderAlertRules, showToast
 } from './ui.js';
-import * as tf from '@tensorflow/tfjs';
+import {
+  startRecording, stopRecording, isRecording, clearRecording, getRecordingSize,
+  recordFrame, toJsonLines, toCsv, getExportFileName
+} from './recorder.js';
+import { addSample, clearDataset, exportYolo, exportCoco } from './dataset.js';
+import { initReview, renderReview, resetReview } from './review.js';
+import { initRegionEditor, renderRegions, setRegionEditing, isRegionEditing } from './regions.js';
+import { renderSnapshot, toPngBlob, copySnapshot, getSnapshotFileName } from './snapshot.js';
+import { initZoneEditor, renderZones, setZoneDrawMode, getZoneDrawMode } from './zones.js';
+import {
+  updateAnalytics, getAnalytics, resetAnchors, resetCounts, toAnalyticsJson, getCountsFileName
+} from './analytics.js';
+import { getRenderer } from './renderer.js';
+import { recordDashboardFrame, renderDashboard, resetDashboard } from './dashboard.js';
+import { loadRecentKeywords } from './history.js';
+import {
+  createAlertRule, describeAlertRule, evaluateAlerts, dispatchAlerts, resetAlerts, initAlertNotifications
+} from './alerts.js';
 
 /**
  * Global state variables
  */
-let keyword = "";               // Search keyword for highlighting specific objects
-let videoElement = null;        // Reference to the video element capturing screen content
+let keyword = "";               // Search query text for highlighting specific objects
+let query = parseQuery("");     // Parsed form of the search query
+let aliases = {};               // Map of alias to class names, shared by the query and alert rules
+let activeRenderer = null;      // Box renderer currently drawing, see renderer.js
+let videoElement = null;        // Reference to the video element playing streams and video files
+let imageElement = null;        // Reference to the image element showing still images
+let sourceElement = null;       // Element frames are currently read from (video or image)
+let lastFrameTime = -1;         // Playhead position of the last detected video file frame
+let redetectPausedFrame = false; // Whether a paused video file frame should be detected again
 let isDetectionRunning = false; // Flag indicating if detection loop is active
 let lastDetectionTime = 0;      // Timestamp of last detection for throttling
-let previousDetections = [];    // Previous frame's detections for tracking
+let isFrameInFlight = false;    // Whether a frame is still being processed
 let wasRunningBeforeHidden = false; // Track if detection was running before tab became hidden
 let modelInferenceCount = 0; // Count of model inferences for performance tracking
 let lastModelCountTime = performance.now(); // Timestamp for last model FPS count
 let processingTimes = []; // Track last few processing times for display
+let activeBackend = "";   // TensorFlow.js backend currently running the model
+let lastDetections = [];  // Detections currently shown on the overlay, for snapshots
 
 /**
  * Initialize the application when DOM is fully loaded
  */
 document.addEventListener("DOMContentLoaded", () => {
-  // Initialize video element reference
+  // Initialize source element references
   videoElement = document.getElementById("video");
-  
-  // Log the backend being used
-  console.log("TensorFlow.js backend:", tf.getBackend());
-  
-  // Force WebGL backend if not already selected
-  if (tf.getBackend() !== 'webgl') {
-    console.log("Trying to switch to WebGL backend...");
-    tf.setBackend('webgl').then(() => {
-      console.log("Now using backend:", tf.getBackend());
-    }).catch(err => {
-      console.error("Failed to use WebGL backend:", err);
-    });
-  }
+  imageElement = document.getElementById("image");
   
   // Set up event listeners for UI controls
-  document.getElementById("shareScreen").addEventListener("click", startScreenCapture);
+  document.getElementById("openSource").addEventListener("click", openSelectedSource);
+  document.getElementById("fileInput").addEventListener("change", (event) => {
+    if (event.target.files[0]) openSourceFile(event.target.files[0]);
+    event.target.value = "";
+  });
   document.getElementById("start").addEventListener("click", startDetection);
   document.getElementById("stop").addEventListener("click", stopDetection);
   
+  // Still images and video files can also be dropped anywhere on the page
+  document.addEventListener("dragover", (event) => event.preventDefault());
+  document.addEventListener("drop", (event) => {
+    event.preventDefault();
+    const file = event.dataTransfer.files[0];
+    if (file) openSourceFile(file);
+  });
+  
+  // Seeking a video file jumps in time, so old tracks no longer apply
+  videoElement.addEventListener("seeking", () => {
+    resetTracker();
+    resetAnchors();
+  });
+  
   // Initial button states - disabled until video source is available
   updateButtonState(false, false);
   
-  // Load model and class names asynchronously
-  Promise.all([loadModel(), loadClassNames()])
-    .then(() => {
-      document.getElementById("modelStatus").textContent = "Model loaded successfully!";
+  // Session recorder controls
+  document.getElementById("recordToggle").addEventListener("click", toggleRecording);
+  document.getElementById("downloadJsonl").addEventListener("click", () => {
+    downloadFile(toJsonLines(), getExportFileName("jsonl"), "application/x-ndjson");
+  });
+  document.getElementById("downloadCsv").addEventListener("click", () => {
+    downloadFile(toCsv(), getExportFileName("csv"), "text/csv");
+  });
+  document.getElementById("clearRecording").addEventListener("click", () => {
+    clearRecording();
+    updateRecordingControls(isRecording(), getRecordingSize());
+  });
+  updateRecordingControls(false, getRecordingSize());
+  
+  // Region of interest controls
+  document.getElementById("editRegions").addEventListener("click", () => {
+    if (!isRegionEditing()) selectZoneDrawMode(null);
+    setRegionEditing(!isRegionEditing());
+    document.getElementById("editRegions").classList.toggle("active", isRegionEditing());
+  });
+  document.getElementById("clearRegions").addEventListener("click", () => changeRegions([]));
+  
+  // Counting zone and line controls
+  document.getElementById("drawZone").addEventListener("click", () => {
+    selectZoneDrawMode(getZoneDrawMode() === "zone" ? null : "zone");
+  });
+  document.getElementById("drawLine").addEventListener("click", () => {
+    selectZoneDrawMode(getZoneDrawMode() === "line" ? null : "line");
+  });
+  document.getElementById("clearZones").addEventListener("click", () => changeCounting({ zones: [], lines: [] }));
+  document.getElementById("resetCounts").addEventListener("click", resetCounts);
+  document.getElementById("downloadCounts").addEventListener("click", () => {
+    const { zones, lines } = getSettings().counting;
+    downloadFile(toAnalyticsJson(zones, lines), getCountsFileName(), "application/json");
+  });
+  
+  // Statistics dashboard, drawn only while open
+  document.getElementById("dashboard").addEventListener("toggle", () => renderDashboard(keyword, true));
+  document.getElementById("resetDashboard").addEventListener("click", startDashboardSession);
+  
+  // Snapshot controls, also available as the S (save) and C (copy) keys
+  document.getElementById("snapshotSave").addEventListener("click", () => takeSnapshot("save"));
+  document.getElementById("snapshotCopy").addEventListener("click", () => takeSnapshot("copy"));
+  document.addEventListener("keydown", (event) => {
+    // Leave typing in inputs and browser shortcuts alone
+    if (event.ctrlKey || event.metaKey || event.altKey) return;
+    if (event.target.closest("input, select, textarea")) return;
+    
+    const key = event.key.toLowerCase();
+    if (key === "s") takeSnapshot("save");
+    if (key === "c") takeSnapshot("copy");
+  });
+  
+  // Keyboard shortcuts registered in the manifest, forwarded by the service worker
+  // so they also work while another window has focus
+  chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+    if (message.target !== "detection" || message.action !== "command") return false;
+    
+    runCommand(message.command);
+    sendResponse({ received: true });
+    return false;
+  });
+  
+  // Dataset builder controls
+  document.getElementById("captureFrame").addEventListener("click", captureFrame);
+  document.getElementById("exportYolo").addEventListener("click", () => exportDataset("yolo"));
+  document.getElementById("exportCoco").addEventListener("click", () => exportDataset("coco"));
+  document.getElementById("clearDataset").addEventListener("click", () => {
+    if (!confirm("Remove all captured frames?")) return;
+    clearDataset();
+    resetReview();
+  });
+  initReview(getClassNames);
+  
+  // Load detection thresholds and connect them to the live controls
+  const settingsLoaded = loadSettings().then(settings => {
+    bindSettingControls(settings, updateSetting);
+    renderClassThresholds(settings.classThresholds, removeClassThreshold);
+    renderAlertRules(settings.alertRules, describeRule, removeAlertRule);
+    populateBackendOptions(document.getElementById("backendSelect"), getAvailableBackends(), settings.backend);
+    initRegionEditor(document.getElementById("regions"), settings.regions, changeRegions);
+    initZoneEditor(document.getElementById("zones"), settings.counting, changeCounting);
+    renderTiles();
+    return settings;
+  });
+  
+  // Re-run still images when thresholds change, so settings can be compared on one frame,
+  // and let a paused video file be detected again with the new settings
+  onSettingsChange(() => {
+    redetectPausedFrame = true;
+    renderTiles();
+    if (isStillSource() && isInferenceReady()) detectStillImage();
+  });
+  document.getElementById("backendSelect").addEventListener("change", changeBackend);
+  document.getElementById("modelSelect").addEventListener("change", changeModel);
+  document.getElementById("addClassThreshold").addEventListener("click", addClassThreshold);
+  document.getElementById("addAlertRule").addEventListener("click", addAlertRule);
+  initAlertNotifications();
+  
+  // Load the chosen model's metadata, then the model itself
+  // Settings come first since they pick the model and decide whether inference runs in a worker
+  document.getElementById("modelStatus").textContent = "Loading model...";
+  const modelInfoLoaded = settingsLoaded.then(settings => loadModelInfo(settings.modelId));
+  
+  Promise.all([modelInfoLoaded, fetchRegistry()])
+    .then(([info, registry]) => populateModelOptions(document.getElementById("modelSelect"), registry, info.id))
+    .catch(error => console.error("Error loading model registry:", error));
+  
+  modelInfoLoaded
+    .then(info => initInference(info, showLoadProgress).then(inference => ({ info, inference })))
+    .then(({ info, inference }) => {
+      document.getElementById("modelStatus").textContent =
+        `Model loaded successfully! (${inference.mode === "worker" ? "worker" : "in page"})`;
+      setActiveBackend(inference);
+      populateClassOptions(document.getElementById("classThresholdClass"), info.classNames);
     })
     .catch(error => {
       console.error("Initialization error:", error);
+      showError(`Error loading model: ${error.message}`);
       document.getElementById("modelStatus").textContent = "Error loading model: " + error.message;
       document.getElementById("modelStatus").style.color = "#db4437"; // Google red for error
     });
   
-  // Load search keyword from Chrome extension storage
-  chrome.storage.local.get("objectKeyword", (data) => {
-    if (data.objectKeyword) {
-      keyword = data.objectKeyword.toLowerCase();
-      console.log("Detecting:", keyword);
+  // Load search keyword from Chrome extension storage, resolving aliases
+  const keywordLoaded = new Promise(resolve => chrome.storage.local.get("objectKeyword", resolve));
+  Promise.all([keywordLoaded, fetchAliases()])
+    .then(([data, loadedAliases]) => {
+      aliases = loadedAliases;
+      if (!data.objectKeyword) {
+        console.warn("No object keyword found in storage.");
+        return;
+      }
+      
+      setKeyword(data.objectKeyword);
+      renderAlertRules(getSettings().alertRules, describeRule, removeAlertRule);
       
-      // Update UI to show current keyword
-      document.title = `Detecting: ${keyword}`;
-      const keywordDisplay = document.getElementById("keywordDisplay");
-      if (keywordDisplay) {
-        keywordDisplay.textContent = `Looking for: ${keyword}`;
+      // Show what the keyword matches once the model's classes are known
+      return modelInfoLoaded.then(showKeywordSummary, showKeywordSummary);
+    })
+    .catch(error => console.error("Error loading search keyword:", error));
+});
+
+/**
+ * Shows how far the model has loaded in the model status line
+ * Once every file is in, the status says the model is warming up
+ * 
+ * @param {number} progress - Loaded fraction from 0 to 1
+ */
+function showLoadProgress(progress) {
+  document.getElementById("modelStatus").textContent = progress < 1
+    ? `Loading model... ${Math.round(progress * 100)}%`
+    : "Warming up model...";
+}
+
+/**
+ * Makes a search query the one highlighted on the overlay
+ * 
+ * @param {string} value - Search query as entered in the popup
+ */
+function setKeyword(value) {
+  keyword = value.toLowerCase();
+  query = parseQuery(keyword, aliases);
+  console.log("Detecting:", keyword);
+  document.title = `Detecting: ${keyword}`;
+}
+
+/**
+ * Runs a keyboard shortcut and confirms it with a toast
+ * 
+ * @param {string} command - Command name from the manifest
+ */
+async function runCommand(command) {
+  switch (command) {
+    case "toggle-detection":
+      if (isDetectionRunning) {
+        stopDetection();
+        showToast("Detection stopped");
+      } else if (await startDetection()) {
+        showToast(isStillSource() ? "Detected objects in image" : "Detection started");
+      } else {
+        showToast("Could not start detection");
       }
-    } else {
-      console.warn("No object keyword found in storage.");
+      break;
+    case "take-snapshot":
+      if (await takeSnapshot("save")) showToast("Snapshot saved");
+      break;
+    case "next-keyword":
+      await cycleKeyword();
+      break;
+    case "toggle-overlay": {
+      const hidden = document.getElementById("container").classList.toggle("overlay-hidden");
+      showToast(hidden ? "Overlay hidden" : "Overlay shown");
+      break;
     }
+    default:
+      console.warn("Unknown command:", command);
+  }
+}
+
+/**
+ * Switches to the search after the current one in the recent searches, wrapping around
+ * The choice is stored as the keyword, so the popup and later pages pick it up too
+ */
+async function cycleKeyword() {
+  const recent = await loadRecentKeywords();
+  if (recent.length === 0) {
+    showToast("No recent searches to switch to");
+    return;
+  }
+  
+  // A keyword missing from the history starts the cycle at the most recent search
+  const index = recent.findIndex(item => item.toLowerCase() === keyword);
+  const next = recent[(index + 1) % recent.length];
+  await chrome.storage.local.set({ objectKeyword: next });
+  
+  setKeyword(next);
+  if (getModelInfo()) showKeywordSummary();
+  if (isStillSource() && isInferenceReady()) detectStillImage();
+  showToast(`Searching for: ${keyword}`);
+}
+
+/**
+ * Shows the current keyword and the model classes it resolved to
+ */
+function showKeywordSummary() {
+  const keywordDisplay = document.getElementById("keywordDisplay");
+  if (!keywordDisplay || !keyword) return;
+  
+  const resolved = resolveQuery(query, Object.values(getClassNames()));
+  const summary = resolved
+    .map(({ term, classes }) => `${formatTerm(term)} → ${classes.length ? classes.join(", ") : "no matching class"}`)
+    .join("; ");
+  keywordDisplay.textContent = `Looking for: ${keyword} (${summary})`;
+}
+
+/**
+ * Switches to the model chosen in the model selector
+ * Detection is stopped first since boxes and tracks belong to the old model
+ */
+async function changeModel() {
+  const modelSelect = document.getElementById("modelSelect");
+  const modelStatus = document.getElementById("modelStatus");
+  const previousModelId = getModelInfo().id;
+  
+  if (isDetectionRunning) stopDetection();
+  modelSelect.disabled = true;
+  modelStatus.textContent = "Loading model...";
+  
+  try {
+    const info = await resolveModel(modelSelect.value);
+    setActiveBackend(await switchModel(info, showLoadProgress));
+    
+    // Labels, class pickers and the keyword summary follow the new model's classes
+    setModelInfo(info);
+    updateSetting("modelId", info.id);
+    populateClassOptions(document.getElementById("classThresholdClass"), info.classNames);
+    showKeywordSummary();
+    modelStatus.textContent = `Model loaded successfully! (${info.name})`;
+  } catch (error) {
+    console.error("Error switching model:", error);
+    showError(`Error loading model: ${error.message}`);
+    modelSelect.value = previousModelId;
+    modelStatus.textContent = `Using ${getModelInfo().name}`;
+  } finally {
+    modelSelect.disabled = false;
+  }
+}
+
+/**
+ * Records the backend now running the model and shows it next to the FPS counter
+ * A fresh automatic benchmark result is persisted so later sessions skip the benchmark
+ * 
+ * @param {{backend: string, benchmarked: boolean}} selection - Result of backend selection
+ */
+function setActiveBackend({ backend, benchmarked }) {
+  activeBackend = backend;
+  if (benchmarked) {
+    updateSetting("benchmarkedBackend", backend);
+  }
+  
+  const fpsElement = document.getElementById("modelFps");
+  if (fpsElement && !isDetectionRunning) {
+    fpsElement.textContent = `Backend: ${backend}`;
+  }
+}
+
+/**
+ * Switches backend from the selector, benchmarking again when "auto" is chosen
+ */
+async function changeBackend() {
+  const preference = document.getElementById("backendSelect").value;
+  updateSetting("backend", preference);
+  
+  const modelStatus = document.getElementById("modelStatus");
+  modelStatus.textContent = preference === "auto" ? "Benchmarking backends..." : `Switching to ${preference}...`;
+  
+  try {
+    // Choosing "auto" explicitly discards the previous benchmark result
+    setActiveBackend(await setInferenceBackend(preference, null));
+    modelStatus.textContent = `Using ${activeBackend} backend`;
+  } catch (error) {
+    console.error("Error switching backend:", error);
+    showError(`Error switching backend: ${error.message}`);
+  }
+}
+
+/**
+ * Adds or replaces the per-class confidence threshold selected in the UI
+ */
+function addClassThreshold() {
+  const className = document.getElementById("classThresholdClass").value;
+  const threshold = parseFloat(document.getElementById("classThresholdValue").value);
+  if (!className || isNaN(threshold)) return;
+  
+  const classThresholds = { ...getSettings().classThresholds, [className]: threshold };
+  updateSetting("classThresholds", classThresholds);
+  renderClassThresholds(classThresholds, removeClassThreshold);
+}
+
+/**
+ * Removes the per-class confidence threshold for a class
+ * @param {string} className - Class whose threshold should be removed
+ */
+function removeClassThreshold(className) {
+  const classThresholds = { ...getSettings().classThresholds };
+  delete classThresholds[className];
+  updateSetting("classThresholds", classThresholds);
+  renderClassThresholds(classThresholds, removeClassThreshold);
+}
+
+/**
+ * Adds an alert rule from the alert form
+ */
+function addAlertRule() {
+  const rule = createAlertRule({
+    query: document.getElementById("alertQuery").value,
+    condition: document.getElementById("alertCondition").value,
+    count: parseFloat(document.getElementById("alertCount").value),
+    duration: parseFloat(document.getElementById("alertDuration").value),
+    cooldown: parseFloat(document.getElementById("alertCooldown").value),
+    notify: document.getElementById("alertNotify").checked,
+    sound: document.getElementById("alertSound").checked
   });
-});
+  
+  const alertRules = [...getSettings().alertRules, rule];
+  updateSetting("alertRules", alertRules);
+  renderAlertRules(alertRules, describeRule, removeAlertRule);
+}
+
+/**
+ * Removes an alert rule
+ * @param {string} ruleId - ID of the rule to remove
+ */
+function removeAlertRule(ruleId) {
+  const alertRules = getSettings().alertRules.filter(rule => rule.id !== ruleId);
+  updateSetting("alertRules", alertRules);
+  renderAlertRules(alertRules, describeRule, removeAlertRule);
+}
+
+/**
+ * Describes an alert rule for the rule table
+ * 
+ * @param {Object} rule - Alert rule
+ * @returns {string} Human-readable rule
+ */
+function describeRule(rule) {
+  return describeAlertRule(rule, keyword);
+}
+
+/**
+ * Starts or stops recording the detection timeline
+ */
+function toggleRecording() {
+  if (isRecording()) {
+    stopRecording();
+  } else {
+    startRecording();
+  }
+  updateRecordingControls(isRecording(), getRecordingSize());
+}
+
+/**
+ * Returns the box renderer picked in the settings
+ * When the choice changes, the previous renderer's boxes are removed first
+ * 
+ * @returns {Object} Renderer with render, clear and reset functions
+ */
+function getActiveRenderer() {
+  const { renderer } = getSettings();
+  if (!activeRenderer || activeRenderer.name !== renderer) {
+    if (activeRenderer) activeRenderer.reset(document.getElementById("boxes"));
+    activeRenderer = getRenderer(renderer);
+  }
+  return activeRenderer;
+}
+
+/**
+ * Stores new regions of interest and redraws their outlines
+ * Detection picks them up from the settings on the next frame
+ * 
+ * @param {Array<Array<number>>} regions - Regions normalized to 0-1
+ */
+function changeRegions(regions) {
+  updateSetting("regions", regions);
+  renderRegions(regions);
+}
+
+/**
+ * Starts drawing counting zones or lines, or stops
+ * Region editing is turned off first, since its layer sits on top
+ * 
+ * @param {string|null} mode - "zone", "line" or null to stop drawing
+ */
+function selectZoneDrawMode(mode) {
+  if (mode !== null && isRegionEditing()) {
+    setRegionEditing(false);
+    document.getElementById("editRegions").classList.remove("active");
+  }
+  setZoneDrawMode(mode);
+  document.getElementById("drawZone").classList.toggle("active", mode === "zone");
+  document.getElementById("drawLine").classList.toggle("active", mode === "line");
+}
+
+/**
+ * Stores new counting zones and lines and redraws them
+ * 
+ * @param {{zones: Array<Object>, lines: Array<Object>}} counting - Zones and lines normalized to 0-1
+ */
+function changeCounting(counting) {
+  updateSetting("counting", counting);
+  renderZones(counting);
+}
+
+/**
+ * Shows the tile grid over the video while tiled inference is on
+ * With regions of interest, each region is split on its own, as during detection
+ */
+function renderTiles() {
+  const { tiledInference, regions, tileRows, tileCols, tileOverlap } = getSettings();
+  const tiles = tiledInference
+    ? (regions.length > 0 ? regions : [[0, 0, 1, 1]])
+      .flatMap(region => splitIntoTiles(region, tileRows, tileCols, tileOverlap))
+    : [];
+  drawTileGrid(document.getElementById("tiles"), tiles);
+}
+
+/**
+ * Saves or copies the current frame with its boxes and labels drawn in
+ * 
+ * @param {string} action - "save" to download a PNG, "copy" to copy it to the clipboard
+ * @returns {Promise<boolean>} True if the snapshot was saved or copied
+ */
+async function takeSnapshot(action) {
+  if (!sourceElement || getSourceSize(sourceElement).width === 0) {
+    showError("Open an input source before taking a snapshot.");
+    return false;
+  }
+  
+  try {
+    const canvas = renderSnapshot(sourceElement, lastDetections, document.getElementById("overlay"));
+    if (action === "copy") {
+      await copySnapshot(canvas);
+    } else {
+      downloadFile(await toPngBlob(canvas), getSnapshotFileName(keyword));
+    }
+    return true;
+  } catch (error) {
+    console.error("Error taking snapshot:", error);
+    showError(`Error taking snapshot: ${error.message}`);
+    return false;
+  }
+}
+
+/**
+ * Captures the current frame with its detections as draft labels for the dataset
+ * The frame is detected again on its own, so image and boxes always line up
+ */
+async function captureFrame() {
+  if (!isInferenceReady() || !sourceElement || getSourceSize(sourceElement).width === 0) {
+    showError("Open an input source and wait for the model before capturing frames.");
+    return;
+  }
+  
+  const { width, height } = getSourceSize(sourceElement);
+  const frame = await createImageBitmap(sourceElement);
+  
+  try {
+    const canvas = document.createElement("canvas");
+    canvas.width = width;
+    canvas.height = height;
+    canvas.getContext("2d").drawImage(frame, 0, 0);
+    
+    const [image, { processedDetections, paddingInfo }] = await Promise.all([
+      new Promise(resolve => canvas.toBlob(resolve, "image/jpeg", 0.92)),
+      detectFrame(frame, getSettings().regions)
+    ]);
+    
+    // Labels are stored in source pixels, like the tracker's boxes
+    const detections = processedDetections.map(detection => ({
+      ...detection,
+      sourceBox: toSourceBox(detection.box, paddingInfo)
+    }));
+    
+    addSample(image, width, height, detections);
+    renderReview();
+  } catch (error) {
+    console.error("Error capturing frame:", error);
+    showError(`Error capturing frame: ${error.message}`);
+  } finally {
+    frame.close();
+  }
+}
+
+/**
+ * Downloads the captured dataset as a zip
+ * 
+ * @param {string} format - "yolo" or "coco"
+ */
+async function exportDataset(format) {
+  try {
+    const classNames = getClassNames();
+    const archive = format === "yolo" ? await exportYolo(classNames) : await exportCoco(classNames);
+    downloadFile(archive, `dataset-${format}-${Date.now()}.zip`);
+  } catch (error) {
+    console.error("Error exporting dataset:", error);
+    showError(`Error exporting dataset: ${error.message}`);
+  }
+}
 
 /**
  * Handle page visibility changes to pause/resume detection
@@ -102,72 +647,148 @@ document.addEventListener('visibilitychange', () => {
 });
 
 /**
- * Start screen capture using browser's MediaDevices API
- * Requests user permission to share screen content
+ * Opens the source chosen in the source picker
+ * Files are picked through the hidden file input and opened from its change event
  */
-async function startScreenCapture() {
-  try {
-    // Request screen sharing with cursor
-    const stream = await navigator.mediaDevices.getDisplayMedia({ 
-      video: { cursor: "always" },
-      audio: false 
-    });
-    
-    // Set captured stream as source for video element
-    videoElement = document.getElementById("video");
-    videoElement.srcObject = stream;
-    
-    // Handle user-initiated stop of screen sharing
-    stream.getVideoTracks()[0].onended = () => {
+async function openSelectedSource() {
+  const sourceType = document.getElementById("sourceType").value;
+  if (sourceType === "file") {
+    document.getElementById("fileInput").click();
+    return;
+  }
+  
+  await switchSource(sourceType === "camera" ? "Camera" : "Screen sharing", () => {
+    const onEnded = () => {
       stopDetection();
-      console.log("Screen sharing ended by user");
+      console.log(`${sourceType} ended by user`);
     };
+    return sourceType === "camera"
+      ? openCamera(videoElement, onEnded)
+      : openScreen(videoElement, onEnded);
+  });
+}
+
+/**
+ * Opens a video or image file chosen in the file input or dropped on the page
+ * 
+ * @param {File} file - File to open
+ */
+async function openSourceFile(file) {
+  await switchSource(`File "${file.name}"`, () => openFile(file, videoElement, imageElement));
+  
+  // Still images are detected right away; there is no stream to start
+  if (isStillSource() && isInferenceReady()) {
+    detectStillImage();
+  }
+}
+
+/**
+ * Replaces the current source, stopping detection on the old one first
+ * 
+ * @param {string} label - Name of the source for log and error messages
+ * @param {Function} open - Opens the new source and resolves with its element
+ */
+async function switchSource(label, open) {
+  if (isDetectionRunning) stopDetection();
+  closeSource(videoElement, imageElement);
+  sourceElement = null;
+  updateButtonState(false, false);
+  
+  // Statistics of the previous source don't carry over to the new one
+  startDashboardSession();
+  
+  try {
+    sourceElement = await open();
     
-    // Once video metadata is loaded, enable detection
-    videoElement.onloadedmetadata = () => {
-      console.log("Screen sharing started");
-      updateButtonState(false, true);
-    };
+    // Show only the element that holds the new source
+    const isImage = sourceElement === imageElement;
+    imageElement.style.display = isImage ? "block" : "none";
+    videoElement.style.display = isImage ? "none" : "block";
+    
+    console.log(`${label} opened as ${getSourceType()} source`);
+    hideError();
+    updateButtonState(false, true);
   } catch (err) {
-    // Handle permission denied or other errors
-    console.error("Error accessing screen sharing:", err);
-    showError(`Error accessing screen sharing: ${err.message}`);
+    // Handle permission denied, unsupported files and other errors
+    console.error(`Error opening ${label}:`, err);
+    showError(`Error opening ${label}: ${err.message}`);
+    closeSource(videoElement, imageElement);
+    sourceElement = null;
   }
 }
 
+/**
+ * Runs detection once on the current still image
+ * Each box is shown straight away since there are no frames to track across
+ */
+async function detectStillImage() {
+  if (isFrameInFlight) return;
+  isFrameInFlight = true;
+  
+  try {
+    const { processedDetections, paddingInfo } = await detectFrame(imageElement, getSettings().regions);
+    updateDetectionBoxes(processedDetections, paddingInfo, { still: true });
+  } catch (error) {
+    console.error("Error during object detection:", error);
+    showError(`Detection error: ${error.message}`);
+  } finally {
+    isFrameInFlight = false;
+  }
+}
+
+/**
+ * Clears the dashboard statistics and redraws it, so a new session starts from zero
+ */
+function startDashboardSession() {
+  resetDashboard();
+  renderDashboard(keyword, true);
+}
+
 /**
  * Start the object detection process
  * Validates prerequisites and initializes detection loop
+ * 
+ * @returns {Promise<boolean>} True if detection started, false if a prerequisite is missing
  */
 async function startDetection() {
   // Ensure model is loaded
-  if (!getModel()) {
+  if (!isInferenceReady()) {
     showError("Model not loaded yet. Please wait.");
-    return;
+    return false;
   }
   
-  // Verify video feed is available
-  if (!videoElement || videoElement.videoWidth === 0 || videoElement.videoHeight === 0) {
-    showError("Screen sharing not properly started or video not available.");
-    return;
+  // Verify a source is available
+  if (!sourceElement || getSourceSize(sourceElement).width === 0) {
+    showError("No input source open. Share a screen, start a camera or open a file first.");
+    return false;
   }
   
   // Clear any previous errors
   hideError();
+  
+  // A still image only needs a single pass
+  if (isStillSource()) {
+    detectStillImage();
+    return true;
+  }
+  
   updateButtonState(true, true);
   
   // Reset detection state
-  resetBoxElements();
-  previousDetections = [];
+  resetTracker();
+  resetAnchors();
+  resetAlerts();
+  startDashboardSession();
   isDetectionRunning = true;
+  lastFrameTime = -1;
   
   // Reset the boxes container and prepare overlay
   const boxesContainer = document.getElementById("boxes");
   if (boxesContainer) {
-    boxesContainer.innerHTML = "";
+    getActiveRenderer().reset(boxesContainer);
     
     // Match overlay size to video dimensions
-    const videoRect = videoElement.getBoundingClientRect();
+    const videoRect = sourceElement.getBoundingClientRect();
     boxesContainer.style.width = `${videoRect.width}px`;
     boxesContainer.style.height = `${videoRect.height}px`;
   }
@@ -175,6 +796,7 @@ async function startDetection() {
   // Begin detection loop
   lastDetectionTime = 0;
   requestAnimationFrame(detectionLoop);
+  return true;
 }
 
 /**
@@ -182,27 +804,20 @@ async function startDetection() {
  */
 function stopDetection() {
   isDetectionRunning = false;
-  updateButtonState(false, videoElement !== null);
+  updateButtonState(false, sourceElement !== null);
   
   // Animate box removal with fade-out effect
   const boxesContainer = document.getElementById("boxes");
   if (boxesContainer) {
-    const boxes = boxesContainer.querySelectorAll('.detection-box');
-    boxes.forEach(box => {
-      box.style.opacity = "0";
-    });
-    
-    // Clear container after animation completes
-    setTimeout(() => {
-      boxesContainer.innerHTML = "";
-    }, 500);
+    getActiveRenderer().clear(boxesContainer);
   }
+  clearMasks(document.getElementById("overlay"));
   
   // Clean up resources and references
-  resetBoxElements();
-  previousDetections = [];
+  lastDetections = [];
+  resetTracker();
   removeStats();
-  cleanupTensorflow();
+  releaseInference();
 }
 
 /**
@@ -219,18 +834,33 @@ async function detectionLoop(timestamp) {
   requestAnimationFrame(detectionLoop);
   
   // Apply throttling - only process frames at the specified interval
-  if (timestamp - lastDetectionTime < getDetectionInterval()) {
+  // and never queue a frame while the previous one is still being processed
+  if (isFrameInFlight || timestamp - lastDetectionTime < getDetectionInterval()) {
     return;
   }
   
+  // A paused video file keeps showing the same frame, so detect it only once
+  // unless the settings changed; seeking moves the playhead and the new frame
+  // is detected on the next pass. The playhead is read before detection runs,
+  // since a playing video moves on while the frame is processed
+  let frameTime = null;
+  if (getSourceType() === "video") {
+    const isSameFrame = videoElement.paused && videoElement.currentTime === lastFrameTime;
+    if (isSameFrame && !redetectPausedFrame) return;
+    redetectPausedFrame = false;
+    frameTime = videoElement.currentTime;
+    lastFrameTime = frameTime;
+  }
+  
   lastDetectionTime = timestamp;
+  isFrameInFlight = true;
   
   try {
     // Measure frame processing time
     const frameStartTime = performance.now();
     
-    // Process current frame through TensorFlow model
-    const { processedDetections, paddingInfo } = await processFrame(videoElement);
+    // Process current frame through TensorFlow model, in the worker when available
+    const { processedDetections, paddingInfo } = await detectFrame(sourceElement, getSettings().regions);
     
     // Calculate processing time and record for adaptive throttling
     const processingTime = performance.now() - frameStartTime;
@@ -255,22 +885,24 @@ async function detectionLoop(timestamp) {
       // Check if element exists before updating
       const fpsElement = document.getElementById("modelFps");
       if (fpsElement) {
-        fpsElement.textContent = `${modelInferenceCount} FPS | ${avgProcessingTime.toFixed(0)} ms`;
+        fpsElement.textContent = `${modelInferenceCount} FPS | ${avgProcessingTime.toFixed(0)} ms | ${activeBackend}`;
       }
       
       modelInferenceCount = 0;
       lastModelCountTime = now;
     }
-
-    // Update UI with detection results
-    updateDetectionBoxes(processedDetections, paddingInfo);
     
+    // Update UI with detection results
+    updateDetectionBoxes(processedDetections, paddingInfo, { frameTime });
+  
   } catch (error) {
     // Handle detection errors
     console.error("Error during object detection:", error);
     isDetectionRunning = false;
     showError(`Detection error: ${error.message}`);
     updateButtonState(false, true);
+  } finally {
+    isFrameInFlight = false;
   }
 }
 
@@ -280,8 +912,11 @@ async function detectionLoop(timestamp) {
  * 
  * @param {Array<Object>} detections - Array of detected objects
  * @param {Object} paddingInfo - Information about padding and scaling applied to input
+ * @param {Object} [options] - Rendering options
+ * @param {boolean} [options.still] - Detections come from a still image and bypass the tracker
+ * @param {number|null} [options.frameTime] - Playhead position of a video file frame in seconds, null for live sources
  */
-function updateDetectionBoxes(detections, paddingInfo) {
+function updateDetectionBoxes(detections, paddingInfo, { still = false, frameTime = null } = {}) {
   const boxesContainer = document.getElementById("boxes");
   if (!boxesContainer) return;
   
@@ -291,54 +926,59 @@ function updateDetectionBoxes(detections, paddingInfo) {
     detections = [];
   }
   
-  // Extract transformation parameters from padding info
-  const { scale, padLeft, padTop } = paddingInfo;
-  
   // Calculate display scaling ratios
-  const videoRect = videoElement.getBoundingClientRect();
-  const displayRatioX = videoRect.width / videoElement.videoWidth;
-  const displayRatioY = videoRect.height / videoElement.videoHeight;
+  const videoRect = sourceElement.getBoundingClientRect();
+  const sourceSize = getSourceSize(sourceElement);
+  const displayRatioX = videoRect.width / sourceSize.width;
+  const displayRatioY = videoRect.height / sourceSize.height;
   
   // Ensure overlay matches video size
   boxesContainer.style.width = `${videoRect.width}px`;
   boxesContainer.style.height = `${videoRect.height}px`;
   
   // Statistics tracking
-  let detectionCount = detections.length;
   let keywordMatchCount = 0;
-  const processedIds = new Set();
-  const boxElements = getBoxElements();
+  const termCounts = query.include.map(term => ({ label: formatTerm(term), count: 0 }));
   
-  // Process each detection and prepare screen coordinates
+  // Map model coordinates back to video pixels so tracking is independent of display size
   for (const detection of detections) {
-    // Track objects across frames by finding matching detections
-    const matchingDetection = findMatchingDetection(detection, previousDetections);
+    detection.sourceBox = toSourceBox(detection.box, paddingInfo);
     
-    // Maintain ID if object was in previous frame, otherwise create new ID
-    if (matchingDetection) {
-      detection.id = matchingDetection.id;
-    } else {
-      // Generate unique ID from class and position for new objects
-      detection.id = `${detection.class}_${Math.round(detection.box[0]*100)}_${Math.round(detection.box[1]*100)}_${Date.now() % 1000}`;
+    // Pose keypoints go through the same transformation as the box
+    if (detection.keypoints) {
+      detection.sourceKeypoints = detection.keypoints.map(point => ({
+        ...point,
+        ...toSourcePoint(point, paddingInfo)
+      }));
     }
-    
-    // Track which detections we've processed in this frame
-    processedIds.add(detection.id);
-    
-    // Convert model coordinates to screen coordinates
-    const [x1, y1, x2, y2] = detection.box;
-    
-    // Remove model padding from normalized coordinates
-    const unpadX1 = (x1 - padLeft) / scale;
-    const unpadY1 = (y1 - padTop) / scale;
-    const unpadX2 = (x2 - padLeft) / scale;
-    const unpadY2 = (y2 - padTop) / scale;
-    
+  }
+  
+  // Match against tracked objects; the tracker decides which objects are shown,
+  // with stable IDs and optionally smoothed boxes and scores.
+  // A still image has no previous frames, so every detection is shown as is.
+  if (still) {
+    detections.forEach((detection, index) => {
+      detection.id = `${detection.class}_still_${index}`;
+      detection.trackAge = 0;
+      detection.missed = false;
+    });
+  } else {
+    // Video files are tracked on the playhead time of the detected frame, so
+    // pausing, stepping or playing faster doesn't distort predicted motion
+    detections = frameTime !== null
+      ? updateTracks(detections, frameTime * 1000)
+      : updateTracks(detections);
+  }
+  const detectionCount = detections.length;
+  
+  // Process each detection and prepare screen coordinates
+  for (const detection of detections) {
     // Scale to screen dimensions
-    const displayX1 = unpadX1 * displayRatioX;
-    const displayY1 = unpadY1 * displayRatioY;
-    const displayX2 = unpadX2 * displayRatioX;
-    const displayY2 = unpadY2 * displayRatioY;
+    const [sourceX1, sourceY1, sourceX2, sourceY2] = detection.sourceBox;
+    const displayX1 = sourceX1 * displayRatioX;
+    const displayY1 = sourceY1 * displayRatioY;
+    const displayX2 = sourceX2 * displayRatioX;
+    const displayY2 = sourceY2 * displayRatioY;
     
     // Store screen box coordinates for UI rendering
     detection.screenBox = {
@@ -348,72 +988,59 @@ function updateDetectionBoxes(detections, paddingInfo) {
       height: displayY2 - displayY1
     };
     
-    // Check if this detection matches user's search keyword
-    const isKeywordMatch = keyword && detection.className.toLowerCase().includes(keyword.toLowerCase());
-    if (isKeywordMatch) keywordMatchCount++;
+    if (detection.sourceKeypoints) {
+      detection.screenKeypoints = detection.sourceKeypoints.map(point => ({
+        ...point,
+        x: point.x * displayRatioX,
+        y: point.y * displayRatioY
+      }));
+    }
+    
+    // Check if this detection matches user's search query
+    const isKeywordMatch = matchesQuery(query, detection.className);
+    if (isKeywordMatch) {
+      keywordMatchCount++;
+      
+      // Count the match against every included term it satisfies
+      query.include.forEach((term, index) => {
+        if (termMatchesClass(term, detection.className)) termCounts[index].count++;
+      });
+    }
     detection.isKeywordMatch = isKeywordMatch;
   }
   
-  // Remove boxes for objects no longer detected
-  for (const id in boxElements) {
-    if (!processedIds.has(id)) {
-      const boxElement = boxElements[id];
-      if (boxElement) {
-        // Apply fade-out animation before removal
-        boxElement.style.opacity = "0";
-        
-        // Remove from DOM after animation completes
-        setTimeout(() => {
-          if (boxElement.parentNode) {
-            boxElement.parentNode.removeChild(boxElement);
-          }
-        }, 300);
-        
-        // Remove from tracking dictionary
-        delete boxElements[id];
-      }
-    }
+  // Draw the boxes with the renderer picked in the settings
+  getActiveRenderer().render(detections, boxesContainer);
+  
+  // Draw instance masks for segment models and skeletons for pose models beneath the boxes
+  const overlayCanvas = document.getElementById("overlay");
+  drawMasks(detections, overlayCanvas, videoRect.width, videoRect.height);
+  drawSkeletons(detections, overlayCanvas);
+  
+  // Keep what is on screen for snapshots
+  lastDetections = detections;
+  
+  // Log the frame for export while the recorder runs
+  if (isRecording()) {
+    recordFrame(detections, sourceSize, frameTime);
+    updateRecordingControls(true, getRecordingSize());
   }
   
-  // Create or update boxes for current detections
-  for (const detection of detections) {
-    // Skip invalid detections
-    if (!detection || !detection.id) continue;
-    
-    // Find matching detection in previous frame
-    const prev = previousDetections ? 
-      previousDetections.find(p => p && p.id === detection.id) : null;
-      
-    if (!prev || prev.class !== detection.class) {
-      // Object class has changed or is new - recreate the box
-      if (boxElements[detection.id]) {
-        boxElements[detection.id].remove();
-        delete boxElements[detection.id];
-      }
-      createBoxElement(detection, boxesContainer);
-    } else {
-      // Object is the same class - update existing box or create if missing
-      if (boxElements[detection.id]) {
-        updateExistingBoxElement(boxElements[detection.id], detection);
-      } else {
-        createBoxElement(detection, boxesContainer);
-      }
-    }
+  // Count zone occupants and line crossings by track ID
+  const { zones, lines } = getSettings().counting;
+  let analytics = null;
+  if (zones.length > 0 || lines.length > 0) {
+    updateAnalytics(detections, sourceSize, zones, lines, { countCrossings: !still });
+    analytics = getAnalytics(zones, lines);
   }
   
   // Update statistics display
-  updateDetectionStats(detectionCount, keywordMatchCount, keyword);
-  
-  // Store current detections for next frame comparison (with minimal data)
-  previousDetections = Array.isArray(detections) ? 
-    detections.map(det => {
-      if (det) {
-        return { 
-          id: det.id || '',           // Preserve ID for tracking
-          class: det.class || 0,      // Class ID for type comparison
-          box: det.box || [0, 0, 0, 0] // Position for movement tracking
-        };
-      }
-      return null;
-    }).filter(Boolean) : []; // Remove any null entries
+  updateDetectionStats(detectionCount, keywordMatchCount, keyword, termCounts, analytics);
+  
+  // Alert rules and the dashboard follow the live source; a still image never changes
+  if (!still) {
+    dispatchAlerts(evaluateAlerts(getSettings().alertRules, detections, aliases), keyword);
+    recordDashboardFrame(detections, keywordMatchCount);
+    renderDashboard(keyword);
+  }
 }
\ No newline at end of file
@@ -0,0 +1,146 @@
+/**
+ * Geometry helpers shared by tracking, post-processing and the overlay editors
+ * Boxes are arrays in [x1, y1, x2, y2] corner format
+ */
+
+/**
+ * Computes the Intersection over Union of two boxes
+ * 
+ * @param {Array<number>} a - First box [x1, y1, x2, y2]
+ * @param {Array<number>} b - Second box [x1, y1, x2, y2]
+ * @returns {number} IoU between 0 and 1
+ */
+export function computeIoU(a, b) {
+  const interWidth = Math.max(0, Math.min(a[2], b[2]) - Math.max(a[0], b[0]));
+  const interHeight = Math.max(0, Math.min(a[3], b[3]) - Math.max(a[1], b[1]));
+  const intersection = interWidth * interHeight;
+  
+  const areaA = Math.max(0, a[2] - a[0]) * Math.max(0, a[3] - a[1]);
+  const areaB = Math.max(0, b[2] - b[0]) * Math.max(0, b[3] - b[1]);
+  const union = areaA + areaB - intersection;
+  
+  return union > 0 ? intersection / union : 0;
+}
+
+/**
+ * Maps a point from letterboxed model input pixels back to source pixels
+ * 
+ * @param {{x: number, y: number}} point - Point in model input pixels
+ * @param {{scale: number, padLeft: number, padTop: number, offsetX?: number, offsetY?: number}} paddingInfo - Letterbox transform from processFrame
+ * @returns {{x: number, y: number}} Point in source image or video pixels
+ */
+export function toSourcePoint(point, paddingInfo) {
+  const { scale, padLeft, padTop, offsetX = 0, offsetY = 0 } = paddingInfo;
+  
+  // Remove model padding and scaling, then add the crop offset
+  return {
+    x: (point.x - padLeft) / scale + offsetX,
+    y: (point.y - padTop) / scale + offsetY
+  };
+}
+
+/**
+ * Maps a box from letterboxed model input pixels back to source pixels
+ * 
+ * @param {Array<number>} box - Box in model input pixels [x1, y1, x2, y2]
+ * @param {Object} paddingInfo - Letterbox transform from processFrame
+ * @returns {Array<number>} Box in source image or video pixels [x1, y1, x2, y2]
+ */
+export function toSourceBox(box, paddingInfo) {
+  const topLeft = toSourcePoint({ x: box[0], y: box[1] }, paddingInfo);
+  const bottomRight = toSourcePoint({ x: box[2], y: box[3] }, paddingInfo);
+  return [topLeft.x, topLeft.y, bottomRight.x, bottomRight.y];
+}
+
+/**
+ * Converts a corner-format box to center format
+ * 
+ * @param {Array<number>} box - Box [x1, y1, x2, y2]
+ * @returns {Array<number>} Box as [centerX, centerY, width, height]
+ */
+export function toCenterBox(box) {
+  const [x1, y1, x2, y2] = box;
+  return [(x1 + x2) / 2, (y1 + y2) / 2, x2 - x1, y2 - y1];
+}
+
+/**
+ * Converts a center-format box to corner format
+ * 
+ * @param {Array<number>} centerBox - Box as [centerX, centerY, width, height]
+ * @returns {Array<number>} Box [x1, y1, x2, y2]
+ */
+export function toCornerBox(centerBox) {
+  const [cx, cy, w, h] = centerBox;
+  return [cx - w / 2, cy - h / 2, cx + w / 2, cy + h / 2];
+}
+
+/**
+ * Moves a point from one box into another, keeping its relative position
+ * Used to carry keypoints along when a tracked box is smoothed or predicted
+ * 
+ * @param {{x: number, y: number}} point - Point inside the original box
+ * @param {Array<number>} fromBox - Box the point was measured in [x1, y1, x2, y2]
+ * @param {Array<number>} toBox - Box to move the point into [x1, y1, x2, y2]
+ * @returns {{x: number, y: number}} Point at the same relative position in toBox
+ */
+export function mapPointBetweenBoxes(point, fromBox, toBox) {
+  const scaleX = (toBox[2] - toBox[0]) / ((fromBox[2] - fromBox[0]) || 1);
+  const scaleY = (toBox[3] - toBox[1]) / ((fromBox[3] - fromBox[1]) || 1);
+  return {
+    ...point,
+    x: toBox[0] + (point.x - fromBox[0]) * scaleX,
+    y: toBox[1] + (point.y - fromBox[1]) * scaleY
+  };
+}
+
+/**
+ * Splits a box into a grid of overlapping tiles of equal size
+ * Neighbouring tiles share the given fraction of a tile's width or height,
+ * so objects cut by one tile's edge appear whole in the next
+ * 
+ * @param {Array<number>} box - Box to split [x1, y1, x2, y2]
+ * @param {number} rows - Number of tile rows
+ * @param {number} cols - Number of tile columns
+ * @param {number} overlap - Fraction of a tile shared with its neighbour, from 0 to below 1
+ * @returns {Array<Array<number>>} Tiles [x1, y1, x2, y2], row by row
+ */
+export function splitIntoTiles(box, rows, cols, overlap) {
+  const [x1, y1, x2, y2] = box;
+  
+  // n tiles overlapping by a fraction f cover n - (n - 1) * f tile widths
+  const tileWidth = (x2 - x1) / (cols - (cols - 1) * overlap);
+  const tileHeight = (y2 - y1) / (rows - (rows - 1) * overlap);
+  const stepX = tileWidth * (1 - overlap);
+  const stepY = tileHeight * (1 - overlap);
+  
+  const tiles = [];
+  for (let row = 0; row < rows; row++) {
+    for (let col = 0; col < cols; col++) {
+      const left = x1 + col * stepX;
+      const top = y1 + row * stepY;
+      // Snap the last row and column to the edge to absorb rounding
+      tiles.push([
+        left, top,
+        col === cols - 1 ? x2 : left + tileWidth,
+        row === rows - 1 ? y2 : top + tileHeight
+      ]);
+    }
+  }
+  return tiles;
+}
+
+/**
+ * Converts a mouse position to coordinates normalized to an element, clamped to it
+ * 
+ * @param {MouseEvent} event - Mouse event
+ * @param {HTMLElement} element - Element the position is measured against
+ * @returns {Array<number>} Point [x, y] normalized to 0-1
+ */
+export function toElementPoint(event, element) {
+  const rect = element.getBoundingClientRect();
+  const clamp = value => Math.min(Math.max(value, 0), 1);
+  return [
+    clamp((event.clientX - rect.left) / rect.width),
+    clamp((event.clientY - rect.top) / rect.height)
+  ];
+}
@@ -0,0 +1,42 @@
+/**
+ * Recent search history persisted in Chrome extension storage
+ */
+
+/**
+ * Storage key holding the list of recent searches
+ * @type {string}
+ */
+const STORAGE_KEY = "recentKeywords";
+
+/**
+ * Maximum number of searches remembered
+ * @type {number}
+ */
+export const MAX_RECENT_KEYWORDS = 8;
+
+/**
+ * Loads recent searches, most recent first
+ * 
+ * @returns {Promise<Array<string>>} Recent search queries
+ */
+export function loadRecentKeywords() {
+  return new Promise((resolve) => {
+    chrome.storage.local.get(STORAGE_KEY, (data) => {
+      resolve(Array.isArray(data[STORAGE_KEY]) ? data[STORAGE_KEY] : []);
+    });
+  });
+}
+
+/**
+ * Moves a search to the front of the history, dropping the oldest beyond the limit
+ * 
+ * @param {string} keyword - Search query to remember
+ * @returns {Promise<Array<string>>} Updated recent searches
+ */
+export async function addRecentKeyword(keyword) {
+  const recent = await loadRecentKeywords();
+  const updated = [keyword, ...recent.filter(item => item !== keyword)].slice(0, MAX_RECENT_KEYWORDS);
+  
+  await new Promise(resolve => chrome.storage.local.set({ [STORAGE_KEY]: updated }, resolve));
+  return updated;
+}
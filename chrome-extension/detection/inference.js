@@ -0,0 +1,250 @@
+/**
+ * Runs detection either in the inference worker or on the page
+ * 
+ * The worker path transfers each frame as an ImageBitmap and receives detections
+ * by message. The in-page path calls processSource directly and is used when the
+ * worker is disabled in settings or can't be started in this browser.
+ */
+
+import { getModel, cleanupTensorflow } from './model.js';
+import { processSource } from './detect.js';
+import { getSettings, onSettingsChange } from './settings.js';
+import { selectBackend, loadModelOnBackend } from './backend.js';
+
+/**
+ * Inference worker, or null when running on the page
+ * @type {Worker|null}
+ */
+let worker = null;
+
+/**
+ * Pending worker requests keyed by request ID
+ * @type {Map<number, {resolve: Function, reject: Function}>}
+ */
+const pendingRequests = new Map();
+
+/**
+ * Counter used to match worker responses to requests
+ * @type {number}
+ */
+let nextRequestId = 1;
+
+/**
+ * Tail of the queue of frames waiting for detection
+ * @type {Promise<void>}
+ */
+let frameQueue = Promise.resolve();
+
+/**
+ * Whether a model has finished loading, in the worker or on the page
+ * @type {boolean}
+ */
+let modelReady = false;
+
+/**
+ * Receives the progress of the model load in progress, from 0 to 1
+ * @type {Function|null}
+ */
+let progressListener = null;
+
+/**
+ * Checks whether this browser can run TensorFlow.js inside a worker
+ * @returns {boolean} True if workers, OffscreenCanvas and ImageBitmap are available
+ */
+function supportsWorkerInference() {
+  return typeof Worker !== "undefined" &&
+    typeof OffscreenCanvas !== "undefined" &&
+    typeof createImageBitmap !== "undefined";
+}
+
+/**
+ * Sends a request to the worker and waits for its reply
+ * 
+ * @param {string} type - Request type handled by the worker
+ * @param {Object} [payload] - Request data
+ * @param {Array<Transferable>} [transfer] - Objects to transfer instead of copy
+ * @returns {Promise<*>} The worker's result
+ */
+function requestWorker(type, payload = {}, transfer = []) {
+  const requestId = nextRequestId++;
+  
+  return new Promise((resolve, reject) => {
+    pendingRequests.set(requestId, { resolve, reject });
+    worker.postMessage({ type, requestId, ...payload }, transfer);
+  });
+}
+
+/**
+ * Rejects every request still waiting on the worker
+ * @param {Error} error - Reason passed to the pending requests
+ */
+function rejectPendingRequests(error) {
+  pendingRequests.forEach(pending => pending.reject(error));
+  pendingRequests.clear();
+}
+
+/**
+ * Starts the inference worker and loads the model inside it
+ * 
+ * @param {Object} modelInfo - Model info from the registry
+ * @returns {Promise<{backend: string, benchmarked: boolean}>} Backend chosen in the worker
+ * @throws {Error} If the worker fails to start or load the model
+ */
+function startWorker(modelInfo) {
+  worker = new Worker(new URL("./worker.js", import.meta.url), { type: "module" });
+  
+  worker.addEventListener("message", (event) => {
+    const { type, requestId, result, error } = event.data;
+    if (type === "progress") {
+      if (progressListener) progressListener(event.data.progress);
+      return;
+    }
+    
+    const pending = pendingRequests.get(requestId);
+    if (!pending) return;
+    
+    pendingRequests.delete(requestId);
+    if (error) {
+      pending.reject(new Error(error));
+    } else {
+      pending.resolve(result);
+    }
+  });
+  
+  worker.addEventListener("error", (event) => {
+    rejectPendingRequests(new Error(event.message || "Inference worker failed"));
+  });
+  
+  return requestWorker("load", { modelInfo, settings: getSettings() });
+}
+
+/**
+ * Stops the inference worker and rejects any requests still waiting on it
+ */
+function stopWorker() {
+  if (worker) worker.terminate();
+  worker = null;
+  rejectPendingRequests(new Error("Inference worker stopped"));
+}
+
+/**
+ * Loads the model in the worker, falling back to the page if that isn't possible,
+ * and activates the preferred TensorFlow.js backend
+ * 
+ * @param {Object} modelInfo - Model info from the registry
+ * @param {Function} [onProgress] - Called with the loaded fraction of the model from 0 to 1
+ * @returns {Promise<{mode: string, backend: string, benchmarked: boolean}>}
+ *   Where inference runs ("worker" or "page"), the active backend and whether a benchmark ran
+ * @throws {Error} If the model can't be loaded at all
+ */
+export async function initInference(modelInfo, onProgress = () => {}) {
+  const { useWorker, backend, benchmarkedBackend } = getSettings();
+  progressListener = onProgress;
+  
+  if (useWorker && supportsWorkerInference()) {
+    try {
+      const selection = await startWorker(modelInfo);
+      modelReady = true;
+      
+      // Keep the worker's thresholds in sync with the live controls
+      onSettingsChange(settings => {
+        if (worker) worker.postMessage({ type: "settings", settings });
+      });
+      
+      console.log("Inference running in worker on", selection.backend);
+      return { mode: "worker", ...selection };
+    } catch (error) {
+      console.warn("Worker inference unavailable, falling back to page:", error);
+      stopWorker();
+    }
+  }
+  
+  const selection = await loadModelOnBackend(modelInfo, backend, benchmarkedBackend, onProgress);
+  modelReady = true;
+  
+  console.log("Inference running on page on", selection.backend);
+  return { mode: "page", ...selection };
+}
+
+/**
+ * Replaces the running model with another registered model
+ * 
+ * @param {Object} modelInfo - Model info from the registry
+ * @param {Function} [onProgress] - Called with the loaded fraction of the model from 0 to 1
+ * @returns {Promise<{backend: string, benchmarked: boolean}>} Backend running the new model
+ * @throws {Error} If the new model can't be loaded; the previous model stays active
+ */
+export async function switchModel(modelInfo, onProgress = () => {}) {
+  progressListener = onProgress;
+  if (worker) {
+    return requestWorker("load", { modelInfo, settings: getSettings() });
+  }
+  
+  const { backend, benchmarkedBackend } = getSettings();
+  return loadModelOnBackend(modelInfo, backend, benchmarkedBackend, onProgress);
+}
+
+/**
+ * Switches the TensorFlow.js backend wherever inference runs
+ * 
+ * @param {string} preference - "auto" or a backend name
+ * @param {string|null} benchmarked - Backend chosen by an earlier benchmark, null to benchmark again
+ * @returns {Promise<{backend: string, benchmarked: boolean}>} Active backend and whether a benchmark ran
+ */
+export function setInferenceBackend(preference, benchmarked) {
+  if (worker) {
+    return requestWorker("backend", { preference, benchmarked });
+  }
+  return selectBackend(preference, benchmarked);
+}
+
+/**
+ * Returns true once a model is ready for detection
+ * @returns {boolean} Whether detection can start
+ */
+export function isInferenceReady() {
+  return modelReady && (worker !== null || Boolean(getModel()));
+}
+
+/**
+ * Runs detection on the current frame of a video, image or bitmap
+ * Calls are queued, so frames from the detection loop and one-off captures
+ * never run through the model at the same time
+ * 
+ * @param {HTMLVideoElement|HTMLImageElement|ImageBitmap} source - Source to capture the frame from
+ * @param {Array<Array<number>>} [regions] - Regions of interest normalized to 0-1; empty for the whole frame
+ * @returns {Promise<Object>} Object containing processed detections and padding information
+ */
+export function detectFrame(source, regions = []) {
+  const result = frameQueue.then(() => runDetection(source, regions));
+  frameQueue = result.catch(() => {});
+  return result;
+}
+
+/**
+ * Runs detection on one frame wherever inference runs
+ * 
+ * @param {HTMLVideoElement|HTMLImageElement|ImageBitmap} source - Source to capture the frame from
+ * @param {Array<Array<number>>} regions - Regions of interest normalized to 0-1; empty for the whole frame
+ * @returns {Promise<Object>} Object containing processed detections and padding information
+ */
+async function runDetection(source, regions) {
+  if (!worker) {
+    return processSource(source, regions);
+  }
+  
+  // Transfer the bitmap instead of copying it
+  const frame = await createImageBitmap(source);
+  return requestWorker("detect", { frame, regions }, [frame]);
+}
+
+/**
+ * Releases TensorFlow memory wherever inference runs
+ */
+export function releaseInference() {
+  if (worker) {
+    worker.postMessage({ type: "cleanup" });
+  } else {
+    cleanupTensorflow();
+  }
+}
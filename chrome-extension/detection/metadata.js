@@ -0,0 +1,44 @@
+/**
+ * Reads model metadata without depending on TensorFlow.js
+ * Shared by the model registry, the detection page and the popup
+ */
+
+import yaml from 'js-yaml';
+
+/**
+ * Fetches and parses a model's metadata YAML file
+ * 
+ * Ultralytics exports write a metadata.yaml next to the model with the
+ * task, input size, class names and (for pose models) keypoint shape
+ * 
+ * @param {string} metadataUrl - URL of metadata.yaml
+ * @returns {Promise<Object>} Parsed metadata
+ * @throws {Error} If metadata can't be loaded or parsed
+ */
+export async function fetchMetadata(metadataUrl) {
+  const response = await fetch(metadataUrl);
+  if (!response.ok) {
+    throw new Error(`Could not load ${metadataUrl}: ${response.status}`);
+  }
+  
+  const metadata = yaml.load(await response.text());
+  if (!metadata || typeof metadata !== 'object') {
+    throw new Error(`Invalid model metadata in ${metadataUrl}`);
+  }
+  return metadata;
+}
+
+/**
+ * Normalizes the class names from metadata into an ID to name map
+ * Exports write names either as a mapping or as a list
+ * 
+ * @param {Object|Array<string>} names - The metadata's names field
+ * @returns {Object.<number, string>} Object mapping class IDs to class names
+ */
+export function toClassNames(names) {
+  const classNames = {};
+  Object.entries(names || {}).forEach(([classId, className]) => {
+    classNames[parseInt(classId)] = String(className).trim();
+  });
+  return classNames;
+}
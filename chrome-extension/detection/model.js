@@ -1,4 +1,5 @@
 import * as tf from '@tensorflow/tfjs';
+import { resolveModel } from './registry.js';
 
 /**
  * Global reference to the loaded TensorFlow.js model
@@ -13,78 +14,314 @@ let model;
 let classNames = {};
 
 /**
- * Loads class names from the model's metadata YAML file
+ * Description of the active model from the registry
+ * @type {Object|null}
+ */
+let modelInfo = null;
+
+/**
+ * Resolves a registered model and stores its description and class names
  * 
- * The metadata.yaml file contains information about the model's classes
- * in COCO dataset format, which maps numeric class IDs to human-readable names
+ * The class names come from the model's metadata.yaml, so detections can be
+ * labelled without fetching the metadata again. Only available in extension
+ * pages; the inference worker receives the resolved info from the page.
  * 
- * @returns {Promise<Object>} Object mapping class IDs to class names
+ * @param {string} [modelId] - ID of the model in the registry
+ * @returns {Promise<Object>} Model info with task, URLs, input size and class names
  * @throws {Error} If metadata can't be loaded or parsed
  */
-export async function loadClassNames() {
+export async function loadModelInfo(modelId) {
   try {
-    // Fetch the metadata file using Chrome extension URL
-    const response = await fetch(chrome.runtime.getURL('../yolo11n_web_model/metadata.yaml'));
-    const yamlText = await response.text();
-    
-    // Extract the 'names:' section from the YAML
-    const namesSection = yamlText.split('names:')[1].split('\n\n')[0];
-    // Split into lines and remove empty ones
-    const nameLines = namesSection.split('\n').filter(line => line.trim() !== '');
-    
-    // Parse each line to extract class ID and name
-    nameLines.forEach(line => {
-      // Use regex to match "<id>: <class name>" pattern
-      const match = line.match(/\s+(\d+):\s+(.*)/);
-      if (match) {
-        const classId = parseInt(match[1]);
-        const className = match[2].trim();
-        classNames[classId] = className;
-      }
-    });
+    setModelInfo(await resolveModel(modelId));
     
     console.log("Class names loaded:", Object.keys(classNames).length);
-    return classNames;
+    return modelInfo;
   } catch (error) {
-    console.error("Error loading class names:", error);
+    console.error("Error loading model metadata:", error);
     throw error;
   }
 }
 
 /**
- * Loads the YOLO object detection model
+ * Makes a resolved model the active one for labelling
+ * Used on the page when the model itself runs in the inference worker
+ * 
+ * @param {Object} info - Model info from the registry
+ */
+export function setModelInfo(info) {
+  modelInfo = info;
+  classNames = info.classNames;
+}
+
+/**
+ * Separates a model's outputs into the prediction head and segmentation prototypes
+ * 
+ * Detect models return a single [1, channels, anchors] tensor. Segment models
+ * also return [1, maskHeight, maskWidth, maskChannels] prototype masks, in an
+ * order that depends on the export, so outputs are told apart by rank.
+ * 
+ * @param {tf.Tensor|Array<tf.Tensor>} output - Result of model.execute
+ * @returns {{predictions: tf.Tensor, protos: tf.Tensor|null}} Prediction tensor and prototypes if present
+ */
+export function splitModelOutputs(output) {
+  const outputs = Array.isArray(output) ? output : [output];
+  return {
+    predictions: outputs.find(tensor => tensor.rank === 3),
+    protos: outputs.find(tensor => tensor.rank === 4) || null
+  };
+}
+
+/**
+ * Returns the number of prediction channels a model should output for its task
+ * 
+ * @param {Object} info - Model info from the registry
+ * @param {Array<number>|null} protoShape - Shape of the segmentation prototypes, if any
+ * @returns {number} Expected channel count
+ */
+function getExpectedChannels(info, protoShape) {
+  // Every head starts with 4 box values and one score per class
+  const base = 4 + info.numClasses;
+  
+  if (info.task === "segment") {
+    // Segment heads add one coefficient per prototype mask
+    return base + (protoShape ? protoShape[3] : 0);
+  }
+  if (info.task === "pose") {
+    // Pose heads add every value of every keypoint
+    return base + info.kptShape[0] * info.kptShape[1];
+  }
+  return base;
+}
+
+/**
+ * Checks that a loaded model matches its metadata
+ * 
+ * Runs one inference on a blank input of the metadata's input size, since
+ * converted models don't record their output shapes.
+ * 
+ * @param {tf.GraphModel} graphModel - Freshly loaded model
+ * @param {Object} info - Model info from the registry
+ * @throws {Error} If the input size or output shape doesn't match the metadata
+ */
+function validateModel(graphModel, info) {
+  const [height, width] = info.inputSize;
+  const [outputShape, protoShape] = tf.tidy(() => {
+    const { predictions, protos } = splitModelOutputs(graphModel.execute(tf.zeros([1, height, width, 3])));
+    return [predictions ? predictions.shape : null, protos ? protos.shape : null];
+  });
+  
+  if (!outputShape) {
+    throw new Error(`Model "${info.name}" has no [batch, channels, anchors] output`);
+  }
+  if (info.task === "segment" && !protoShape) {
+    throw new Error(`Model "${info.name}" is a segment model but has no prototype mask output`);
+  }
+  
+  const expectedChannels = getExpectedChannels(info, protoShape);
+  if (outputShape[1] !== expectedChannels) {
+    throw new Error(
+      `Model "${info.name}" outputs ${outputShape[1]} channels, ` +
+      `but its metadata describes ${expectedChannels} for ${info.numClasses} classes`
+    );
+  }
+}
+
+/**
+ * Prefix of the IndexedDB keys models are cached under
+ * @type {string}
+ */
+const CACHE_PREFIX = "indexeddb://yolo-model-";
+
+/**
+ * Fetches a model file, bypassing the HTTP cache so a rebuilt model is never mixed with stale files
+ * 
+ * @param {string} url - URL of the file
+ * @param {RequestInit} [init] - Fetch options
+ * @returns {Promise<Response>} Fetch response
+ */
+function fetchFresh(url, init) {
+  return fetch(url, {
+    ...init,
+    cache: 'no-store'  // Prevent browser caching to ensure latest version
+  });
+}
+
+/**
+ * Fetches a model file as text
+ * 
+ * @param {string} url - URL of the file
+ * @returns {Promise<string>} File contents
+ * @throws {Error} If the file can't be fetched
+ */
+async function fetchText(url) {
+  const response = await fetchFresh(url);
+  if (!response.ok) {
+    throw new Error(`Failed to fetch ${url}: ${response.status}`);
+  }
+  return response.text();
+}
+
+/**
+ * Computes a fingerprint identifying one build of a model
  * 
- * This loads a TensorFlow.js graph model from the extension's resources
- * and initializes it for inference. The model is stored in the global 'model'
- * variable for later access.
+ * model.json lists the graph and the weight manifest but not the weight bytes,
+ * and the metadata version is the exporter's release, so neither changes when
+ * a retrained model is re-exported. metadata.yaml also holds the export date,
+ * which does, so both files are hashed in full.
  * 
+ * @param {Object} info - Model info from the registry
+ * @returns {Promise<string>} Hex digest of model.json and metadata.yaml
+ */
+async function getModelFingerprint(info) {
+  const [modelJson, metadata] = await Promise.all([fetchText(info.modelUrl), fetchText(info.metadataUrl)]);
+  const digest = await crypto.subtle.digest("SHA-256", new TextEncoder().encode(`${modelJson}\n${metadata}`));
+  return [...new Uint8Array(digest)]
+    .slice(0, 8)
+    .map(byte => byte.toString(16).padStart(2, "0"))
+    .join("");
+}
+
+/**
+ * Splits a cache key into the model ID, extension version and fingerprint it was saved under
+ * 
+ * Neither extension versions nor fingerprints contain dashes, so model IDs may.
+ * 
+ * @param {string} key - IndexedDB URL of a cached model
+ * @returns {{id: string, extensionVersion: string, fingerprint: string}} Parts of the key
+ */
+function parseCacheKey(key) {
+  const parts = key.slice(CACHE_PREFIX.length).split("-");
+  return {
+    id: parts.slice(0, -2).join("-"),
+    extensionVersion: parts.at(-2),
+    fingerprint: parts.at(-1)
+  };
+}
+
+/**
+ * Returns the cached copies of a model, of any extension version
+ * 
+ * @param {Array<string>} cachedKeys - Keys of every model saved with TensorFlow.js
+ * @param {Object} info - Model info from the registry
+ * @returns {Array<string>} Keys of the model's cached copies
+ */
+function getModelCacheKeys(cachedKeys, info) {
+  return cachedKeys.filter(key => key.startsWith(CACHE_PREFIX) && parseCacheKey(key).id === info.id);
+}
+
+/**
+ * Finds the cache key for a model, fingerprinting its files once per extension version
+ * 
+ * Keys are `<model ID>-<extension version>-<fingerprint>`. A key for the running
+ * version is trusted as is, so reloads don't refetch model.json and metadata.yaml.
+ * After an update the files are fingerprinted again, and a copy cached by an
+ * older version with the same fingerprint is moved to the new key instead of
+ * being downloaded again.
+ * 
+ * @param {Object} info - Model info from the registry
+ * @param {Array<string>} cachedKeys - Keys of the models in the cache, updated if a copy is moved
+ * @returns {Promise<string>} Cache key for the running extension version
+ */
+async function getCacheKey(info, cachedKeys) {
+  const modelKeys = getModelCacheKeys(cachedKeys, info);
+  const currentKey = modelKeys.find(key => parseCacheKey(key).extensionVersion === info.extensionVersion);
+  if (currentKey) return currentKey;
+  
+  const fingerprint = await getModelFingerprint(info);
+  const cacheKey = `${CACHE_PREFIX}${info.id}-${info.extensionVersion}-${fingerprint}`;
+  const previousKey = modelKeys.find(key => parseCacheKey(key).fingerprint === fingerprint);
+  if (previousKey) {
+    await tf.io.moveModel(previousKey, cacheKey);
+    cachedKeys.splice(cachedKeys.indexOf(previousKey), 1, cacheKey);
+  }
+  return cacheKey;
+}
+
+/**
+ * Loads a model from the IndexedDB cache, or from the extension and then caches it
+ * 
+ * Cached copies are keyed by model ID, extension version and fingerprint, so a
+ * model changed by an update misses the cache and the stale copies of that model
+ * are removed. Caching is best effort: if IndexedDB is unavailable or full, the
+ * model is simply loaded from the extension every time.
+ * 
+ * @param {Object} info - Model info from the registry
+ * @param {Function} onProgress - Called with the loaded fraction from 0 to 1
  * @returns {Promise<tf.GraphModel>} The loaded model
- * @throws {Error} If model loading fails
  */
-export async function loadModel() {
+async function loadCachedModel(info, onProgress) {
+  let cacheKey = null;
+  let cachedKeys = [];
+  
   try {
-    // Update UI to show loading status
-    document.getElementById("modelStatus").textContent = "Loading model...";
+    cachedKeys = Object.keys(await tf.io.listModels());
+    cacheKey = await getCacheKey(info, cachedKeys);
+  } catch (error) {
+    console.warn("Model cache unavailable:", error);
+  }
+  
+  if (cacheKey && cachedKeys.includes(cacheKey)) {
+    try {
+      const graphModel = await tf.loadGraphModel(cacheKey);
+      onProgress(1);
+      console.log(`Model loaded from cache: ${cacheKey}`);
+      return graphModel;
+    } catch (error) {
+      console.warn("Cached model unreadable, loading from extension:", error);
+    }
+  }
+  
+  const graphModel = await tf.loadGraphModel(info.modelUrl, { fetchFunc: fetchFresh, onProgress });
+  if (!cacheKey) return graphModel;
+  
+  try {
+    // Drop copies of older builds of this model before saving the new one
+    const staleKeys = getModelCacheKeys(cachedKeys, info).filter(key => key !== cacheKey);
+    await Promise.all(staleKeys.map(key => tf.io.removeModel(key)));
+    await graphModel.save(cacheKey);
+    console.log(`Model cached as ${cacheKey}`);
+  } catch (error) {
+    console.warn("Failed to cache model:", error);
+  }
+  return graphModel;
+}
+
+/**
+ * Loads a YOLO object detection model
+ * 
+ * This loads a TensorFlow.js graph model, from the IndexedDB cache when it
+ * holds the current build and otherwise from the extension's resources, and
+ * initializes it for inference. The model is stored in the global 'model'
+ * variable for later access, replacing and disposing any previous model.
+ * It has no DOM dependencies so it can also run inside the inference worker.
+ * 
+ * @param {Object} [info] - Model info from the registry, defaults to the last resolved model
+ * @param {Function} [onProgress] - Called with the loaded fraction from 0 to 1
+ * @param {Function} [beforeValidation] - Awaited with the new model before it is validated,
+ *   e.g. to activate the backend it will run on
+ * @returns {Promise<tf.GraphModel>} The loaded model
+ * @throws {Error} If model loading fails or the model doesn't match its metadata
+ */
+export async function loadModel(info = modelInfo, onProgress = () => {}, beforeValidation = async () => {}) {
+  try {
+    const graphModel = await loadCachedModel(info, onProgress);
     
-    // Get the path to the model's JSON file using Chrome extension URL
-    const modelPath = chrome.runtime.getURL('../yolo11n_web_model/model.json');
+    try {
+      await beforeValidation(graphModel);
+      validateModel(graphModel, info);
+    } catch (error) {
+      graphModel.dispose();
+      throw error;
+    }
     
-    // Load the model with caching disabled to ensure fresh model
-    model = await tf.loadGraphModel(modelPath, {
-      fetchFunc: (url, init) => {
-        return fetch(url, {
-          ...init,
-          cache: 'no-store'  // Prevent browser caching to ensure latest version
-        });
-      }
-    });
-    console.log("YOLO Model Loaded Successfully");
+    if (model) model.dispose();
+    model = graphModel;
+    setModelInfo(info);
+    
+    console.log(`YOLO Model Loaded Successfully: ${info.name}`);
     return model;
   } catch (error) {
-    // Handle loading errors and update UI
     console.error("Error loading YOLO model:", error);
-    document.getElementById("errorMessage").textContent = `Error loading model: ${error.message}`;
-    document.getElementById("errorMessage").style.display = "block";
     throw error;
   }
 }
@@ -98,6 +335,26 @@ export function getModel() {
   return model;
 }
 
+/**
+ * Returns whether the loaded model accepts several images per call
+ * Exports with a fixed batch size of 1 have to be run once per image
+ * 
+ * @returns {boolean} True if the model's input batch dimension is dynamic
+ */
+export function hasDynamicBatch() {
+  const batchSize = model?.inputs?.[0]?.shape?.[0];
+  return batchSize === -1 || batchSize === null;
+}
+
+/**
+ * Returns the description of the active model
+ * 
+ * @returns {Object|null} Model info from the registry, or null before loading
+ */
+export function getModelInfo() {
+  return modelInfo;
+}
+
 /**
  * Returns the loaded class names dictionary
  * 
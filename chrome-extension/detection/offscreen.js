@@ -0,0 +1,142 @@
+/**
+ * Offscreen document that runs detection on images from web pages
+ * 
+ * Service workers can't run TensorFlow.js on WebGL, so the service worker
+ * forwards images from the context menu here. The document loads the model
+ * through the same inference path as the detection page and answers with
+ * boxes in the images' own pixels, ready for the content script to draw.
+ * 
+ * Offscreen documents only have access to chrome.runtime, so the settings
+ * and search keyword arrive with every request.
+ */
+
+import { resolveModel } from './registry.js';
+import { initInference, switchModel, detectFrame } from './inference.js';
+import { applySettings } from './settings.js';
+import { parseQuery, matchesQuery, isEmptyQuery } from './query.js';
+import { fetchAliases } from './aliases.js';
+import { toSourceBox } from './geometry.js';
+import { getBoxColor } from './ui.js';
+
+/**
+ * Resolves once the first model has loaded
+ * @type {Promise<void>|null}
+ */
+let inferenceReady = null;
+
+/**
+ * ID of the model currently loaded, null until the first load finishes
+ * @type {string|null}
+ */
+let loadedModelId = null;
+
+/**
+ * Tail of the request chain, so images from overlapping requests never
+ * share the model at the same time
+ * @type {Promise<void>}
+ */
+let requestQueue = Promise.resolve();
+
+/**
+ * Loads the model on first use and switches it when the chosen model changes
+ * 
+ * @param {string|null} modelId - Registered model ID from the settings
+ * @returns {Promise<void>} Resolves once the model is ready
+ */
+async function ensureModel(modelId) {
+  if (!inferenceReady) {
+    inferenceReady = resolveModel(modelId)
+      .then(info => initInference(info).then(() => { loadedModelId = info.id; }));
+    
+    // Let a later request retry if loading failed
+    inferenceReady.catch(() => { inferenceReady = null; });
+  }
+  await inferenceReady;
+  
+  if (modelId && modelId !== loadedModelId) {
+    const info = await resolveModel(modelId);
+    await switchModel(info);
+    loadedModelId = info.id;
+  }
+}
+
+/**
+ * Downloads an image and runs detection on it
+ * 
+ * @param {string} url - Image URL from the page
+ * @param {Object} query - Parsed search query used to flag keyword matches
+ * @returns {Promise<Object>} Image size and detections with boxes in image pixels
+ */
+async function detectImage(url, query) {
+  // blob: URLs belong to the page that created them and can't be fetched from here
+  if (url.startsWith("blob:")) {
+    throw new Error("Images with blob: URLs can't be loaded by the extension");
+  }
+  
+  // Host permissions let the extension fetch images from any site
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`Could not load image: ${response.status}`);
+  }
+  const bitmap = await createImageBitmap(await response.blob());
+  
+  try {
+    const { processedDetections, paddingInfo } = await detectFrame(bitmap);
+    
+    return {
+      url,
+      width: bitmap.width,
+      height: bitmap.height,
+      detections: processedDetections.map(detection => {
+        const isKeywordMatch = matchesQuery(query, detection.className);
+        return {
+          box: toSourceBox(detection.box, paddingInfo),
+          className: detection.className,
+          score: detection.score,
+          isKeywordMatch,
+          color: getBoxColor(detection.class, isKeywordMatch)
+        };
+      })
+    };
+  } finally {
+    bitmap.close();
+  }
+}
+
+/**
+ * Runs detection on a list of images, one at a time
+ * Failures are reported per image so one broken image doesn't hide the others
+ * 
+ * @param {{urls: Array<string>, settings: Object, keyword: string}} message - Request from the service worker
+ * @returns {Promise<{results: Array<Object>, hasQuery: boolean}>} One result per image and whether a keyword was set
+ */
+async function detectImages({ urls, settings, keyword }) {
+  applySettings(settings);
+  await ensureModel(settings.modelId);
+  
+  const query = parseQuery(keyword, await fetchAliases());
+  const results = [];
+  
+  for (const url of urls) {
+    try {
+      results.push(await detectImage(url, query));
+    } catch (error) {
+      console.warn(`Detection failed for ${url}:`, error);
+      results.push({ url, error: error.message, detections: [] });
+    }
+  }
+  return { results, hasQuery: !isEmptyQuery(query) };
+}
+
+/**
+ * Answers detection requests addressed to the offscreen document
+ */
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  if (message.target !== "offscreen" || message.action !== "detectImages") return false;
+  
+  const request = requestQueue.then(() => detectImages(message));
+  requestQueue = request.catch(() => {});
+  
+  request.then(sendResponse, error => sendResponse({ error: error.message }));
+  return true; // Keep the channel open for the asynchronous response
+});
@@ -0,0 +1,153 @@
+/**
+ * Search query parsing and matching against class names
+ * 
+ * Query syntax:
+ *   person, dog        - any of the terms (",", "|" or "OR" separate terms)
+ *   NOT chair, -chair  - exclude a term, also after another term as in "person NOT chair"
+ *   "sports ball"      - exact class name (also written as =sports ball)
+ *   ball               - whole-word match, so "ball" hits "sports ball" but not "baseball glove"
+ *   phone              - also matches the classes its alias resolves to (here "cell phone")
+ * 
+ * A query with only excluded terms matches every class except the excluded ones.
+ */
+
+/**
+ * Separators between query terms: comma, pipe or the word OR
+ * A NOT or a leading minus also starts a new term, so the separator before
+ * it is matched by lookahead and the negation stays with its term
+ * @type {RegExp}
+ */
+const TERM_SEPARATOR = /\s*[,|]\s*|\s+or\s+|\s+(?=not\s|-)/i;
+
+/**
+ * Parses a single query term
+ * 
+ * @param {string} rawTerm - Term text as typed by the user
+ * @param {Object.<string, Array<string>>} aliases - Map of alias to class names
+ * @returns {Object|null} Parsed term with text, flags and alias classes, or null if empty
+ */
+function parseTerm(rawTerm, aliases) {
+  let text = rawTerm.trim().toLowerCase();
+  let negated = false;
+  let exact = false;
+  
+  // Negation can be written as a NOT prefix or a leading minus
+  if (text.startsWith("not ")) {
+    negated = true;
+    text = text.slice(4).trim();
+  } else if (text.startsWith("-")) {
+    negated = true;
+    text = text.slice(1).trim();
+  }
+  
+  // Exact matching is requested by quotes or a leading equals sign
+  if (text.length > 1 && text.startsWith('"') && text.endsWith('"')) {
+    exact = true;
+    text = text.slice(1, -1).trim();
+  } else if (text.startsWith("=")) {
+    exact = true;
+    text = text.slice(1).trim();
+  }
+  
+  // Collapse repeated whitespace so "cell   phone" matches "cell phone"
+  text = text.replace(/\s+/g, " ");
+  
+  if (!text) return null;
+  
+  // Exact terms name a class directly, so aliases only apply to free text
+  const aliasClasses = !exact && Object.hasOwn(aliases, text) ? aliases[text] : [];
+  
+  return { text, exact, negated, aliasClasses };
+}
+
+/**
+ * Parses a query string into included and excluded terms
+ * 
+ * @param {string} queryText - Query as typed by the user
+ * @param {Object.<string, Array<string>>} [aliases] - Map of alias to class names
+ * @returns {{text: string, include: Array<Object>, exclude: Array<Object>}} Parsed query
+ */
+export function parseQuery(queryText, aliases = {}) {
+  const text = (queryText || "").trim();
+  const terms = text.split(TERM_SEPARATOR)
+    .map(rawTerm => parseTerm(rawTerm, aliases))
+    .filter(Boolean);
+  
+  return {
+    text,
+    include: terms.filter(term => !term.negated),
+    exclude: terms.filter(term => term.negated)
+  };
+}
+
+/**
+ * Returns true if the query contains no terms at all
+ * 
+ * @param {Object} query - Parsed query
+ * @returns {boolean} Whether the query is empty
+ */
+export function isEmptyQuery(query) {
+  return !query || (query.include.length === 0 && query.exclude.length === 0);
+}
+
+/**
+ * Checks whether a single term matches a class name
+ * 
+ * @param {Object} term - Parsed query term
+ * @param {string} className - Human-readable class name
+ * @returns {boolean} Whether the term matches the class
+ */
+export function termMatchesClass(term, className) {
+  const name = className.toLowerCase();
+  if (term.exact) {
+    return name === term.text;
+  }
+  
+  // Whole-word match: pad with spaces so only complete words line up
+  return ` ${name} `.includes(` ${term.text} `) || term.aliasClasses.includes(name);
+}
+
+/**
+ * Checks whether a class name satisfies the whole query
+ * 
+ * @param {Object} query - Parsed query
+ * @param {string} className - Human-readable class name
+ * @returns {boolean} Whether the class matches
+ */
+export function matchesQuery(query, className) {
+  if (isEmptyQuery(query)) return false;
+  
+  if (query.exclude.some(term => termMatchesClass(term, className))) {
+    return false;
+  }
+  
+  // Exclude-only queries match everything that wasn't excluded
+  return query.include.length === 0 ||
+    query.include.some(term => termMatchesClass(term, className));
+}
+
+/**
+ * Resolves every query term to the model classes it matches
+ * Used to validate a query before detection starts
+ * 
+ * @param {Object} query - Parsed query
+ * @param {Array<string>} classList - All class names known to the model
+ * @returns {Array<{term: Object, classes: Array<string>}>} Matching classes per term
+ */
+export function resolveQuery(query, classList) {
+  return [...query.include, ...query.exclude].map(term => ({
+    term,
+    classes: classList.filter(className => termMatchesClass(term, className))
+  }));
+}
+
+/**
+ * Formats a term back into query syntax for display
+ * 
+ * @param {Object} term - Parsed query term
+ * @returns {string} Display label for the term
+ */
+export function formatTerm(term) {
+  const text = term.exact ? `"${term.text}"` : term.text;
+  return term.negated ? `NOT ${text}` : text;
+}
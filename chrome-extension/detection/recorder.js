@@ -0,0 +1,176 @@
+/**
+ * Session recorder for detection timelines
+ * 
+ * While recording, every processed frame adds one row per visible tracked
+ * object. Rows can be exported as JSON Lines or CSV for analysis outside
+ * the extension.
+ */
+
+/**
+ * Columns written for each recorded detection, in CSV order
+ * @type {Array<string>}
+ */
+export const RECORD_FIELDS = [
+  "timestamp", "elapsed", "mediaTime", "frame", "trackId", "classId", "className", "score",
+  "x1", "y1", "x2", "y2", "nx1", "ny1", "nx2", "ny2"
+];
+
+/**
+ * Whether frames are currently being recorded
+ * @type {boolean}
+ */
+let recording = false;
+
+/**
+ * Recorded rows, one per detection per frame
+ * @type {Array<Object>}
+ */
+let records = [];
+
+/**
+ * Number of frames recorded in the session
+ * @type {number}
+ */
+let frameCount = 0;
+
+/**
+ * Wall-clock time the session started, in milliseconds since the epoch
+ * @type {number}
+ */
+let sessionStart = 0;
+
+/**
+ * Starts recording, continuing the current session if it has rows
+ */
+export function startRecording() {
+  if (records.length === 0) {
+    sessionStart = Date.now();
+    frameCount = 0;
+  }
+  recording = true;
+}
+
+/**
+ * Stops recording; the recorded rows are kept for download
+ */
+export function stopRecording() {
+  recording = false;
+}
+
+/**
+ * Returns whether frames are currently being recorded
+ * @returns {boolean} True while recording
+ */
+export function isRecording() {
+  return recording;
+}
+
+/**
+ * Discards all recorded rows
+ */
+export function clearRecording() {
+  records = [];
+  frameCount = 0;
+  sessionStart = Date.now();
+}
+
+/**
+ * Returns the size of the recorded session
+ * @returns {{frames: number, rows: number}} Recorded frames and detection rows
+ */
+export function getRecordingSize() {
+  return { frames: frameCount, rows: records.length };
+}
+
+/**
+ * Records the tracked detections of one frame
+ * 
+ * @param {Array<Object>} detections - Tracked detections with id, class, score and sourceBox
+ * @param {{width: number, height: number}} sourceSize - Frame size in video pixels
+ * @param {number|null} [mediaTime] - Playhead position in seconds for video files
+ */
+export function recordFrame(detections, sourceSize, mediaTime = null) {
+  if (!recording) return;
+  
+  const timestamp = Date.now();
+  const frame = frameCount++;
+  
+  for (const detection of detections) {
+    const [x1, y1, x2, y2] = detection.sourceBox;
+    records.push({
+      timestamp,
+      elapsed: timestamp - sessionStart,
+      mediaTime,
+      frame,
+      trackId: detection.id,
+      classId: detection.class,
+      className: detection.className,
+      score: roundTo(detection.score, 4),
+      // Video pixels
+      x1: roundTo(x1, 1),
+      y1: roundTo(y1, 1),
+      x2: roundTo(x2, 1),
+      y2: roundTo(y2, 1),
+      // Normalized to 0-1 by the frame size
+      nx1: roundTo(x1 / sourceSize.width, 5),
+      ny1: roundTo(y1 / sourceSize.height, 5),
+      nx2: roundTo(x2 / sourceSize.width, 5),
+      ny2: roundTo(y2 / sourceSize.height, 5)
+    });
+  }
+}
+
+/**
+ * Rounds a number to a fixed number of decimals
+ * 
+ * @param {number} value - Value to round
+ * @param {number} decimals - Decimal places to keep
+ * @returns {number} Rounded value
+ */
+function roundTo(value, decimals) {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+}
+
+/**
+ * Serializes the recording as JSON Lines, one detection per line
+ * @returns {string} JSON Lines text
+ */
+export function toJsonLines() {
+  return records.map(record => JSON.stringify(record)).join("\n") + (records.length ? "\n" : "");
+}
+
+/**
+ * Quotes a CSV field when it contains separators, quotes or line breaks
+ * 
+ * @param {*} value - Field value
+ * @returns {string} CSV-safe field
+ */
+function toCsvField(value) {
+  if (value === null || value === undefined) return "";
+  const text = String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Serializes the recording as CSV with a header row
+ * @returns {string} CSV text
+ */
+export function toCsv() {
+  const lines = [RECORD_FIELDS.join(",")];
+  for (const record of records) {
+    lines.push(RECORD_FIELDS.map(field => toCsvField(record[field])).join(","));
+  }
+  return lines.join("\n") + "\n";
+}
+
+/**
+ * Builds a file name for an export of the current session
+ * 
+ * @param {string} extension - File extension without the dot
+ * @returns {string} File name including the session start time
+ */
+export function getExportFileName(extension) {
+  const started = new Date(sessionStart).toISOString().replace(/[:.]/g, "-");
+  return `detections-${started}.${extension}`;
+}
@@ -0,0 +1,153 @@
+/**
+ * Editor for regions of interest drawn over the video
+ * 
+ * Regions are stored normalized to 0-1 as [x1, y1, x2, y2], so they stay
+ * in place when the video is resized. When any regions are set, detection
+ * runs only inside them.
+ */
+
+import { toElementPoint } from './geometry.js';
+
+/**
+ * Smallest region side, as a fraction of the video size
+ * @type {number}
+ */
+const MIN_REGION_SIZE = 0.02;
+
+/**
+ * Layer over the video holding the region outlines
+ * @type {HTMLElement|null}
+ */
+let regionLayer = null;
+
+/**
+ * Current regions, normalized to 0-1
+ * @type {Array<Array<number>>}
+ */
+let currentRegions = [];
+
+/**
+ * Called with the new list of regions whenever one is added or removed
+ * @type {Function}
+ */
+let onRegionsChange = () => {};
+
+/**
+ * Region being drawn: start point [x, y] and preview element
+ * @type {{start: Array<number>, element: HTMLElement}|null}
+ */
+let drawing = null;
+
+/**
+ * Connects the region editor to its layer
+ * 
+ * @param {HTMLElement} layer - Element covering the video exactly
+ * @param {Array<Array<number>>} regions - Initial regions
+ * @param {Function} onChange - Called with the updated regions after every edit
+ */
+export function initRegionEditor(layer, regions, onChange) {
+  regionLayer = layer;
+  onRegionsChange = onChange;
+  
+  layer.addEventListener("mousedown", (event) => {
+    // Clicks on a region's delete button are handled by the button
+    if (event.target.closest("button")) return;
+    event.preventDefault();
+    
+    const point = toElementPoint(event, regionLayer);
+    const element = document.createElement("div");
+    element.className = "region drawing";
+    layer.appendChild(element);
+    drawing = { start: point, element };
+  });
+  
+  window.addEventListener("mousemove", (event) => {
+    if (!drawing) return;
+    placeRegionElement(drawing.element, toRegion(drawing.start, toElementPoint(event, regionLayer)));
+  });
+  
+  window.addEventListener("mouseup", (event) => {
+    if (!drawing) return;
+    const region = toRegion(drawing.start, toElementPoint(event, regionLayer));
+    drawing.element.remove();
+    drawing = null;
+    
+    // Ignore clicks and tiny accidental drags
+    if (region[2] - region[0] >= MIN_REGION_SIZE && region[3] - region[1] >= MIN_REGION_SIZE) {
+      onRegionsChange([...currentRegions, region]);
+    }
+  });
+  
+  renderRegions(regions);
+}
+
+/**
+ * Turns drawing mode on or off
+ * While drawing, the layer captures the mouse instead of the video below
+ * 
+ * @param {boolean} enabled - Whether regions can be drawn and deleted
+ */
+export function setRegionEditing(enabled) {
+  regionLayer.classList.toggle("editing", enabled);
+}
+
+/**
+ * Returns whether drawing mode is on
+ * @returns {boolean} True while regions can be drawn
+ */
+export function isRegionEditing() {
+  return regionLayer !== null && regionLayer.classList.contains("editing");
+}
+
+/**
+ * Builds a normalized region from two corners
+ * 
+ * @param {Array<number>} start - Corner [x, y] where the drag started
+ * @param {Array<number>} end - Current corner [x, y]
+ * @returns {Array<number>} Region [x1, y1, x2, y2]
+ */
+function toRegion([startX, startY], [endX, endY]) {
+  return [
+    Math.min(startX, endX), Math.min(startY, endY),
+    Math.max(startX, endX), Math.max(startY, endY)
+  ];
+}
+
+/**
+ * Positions a region outline in percent of the layer
+ * 
+ * @param {HTMLElement} element - Region outline
+ * @param {Array<number>} region - Normalized region [x1, y1, x2, y2]
+ */
+function placeRegionElement(element, [x1, y1, x2, y2]) {
+  element.style.left = `${x1 * 100}%`;
+  element.style.top = `${y1 * 100}%`;
+  element.style.width = `${(x2 - x1) * 100}%`;
+  element.style.height = `${(y2 - y1) * 100}%`;
+}
+
+/**
+ * Draws the outlines of all regions, each with a delete button
+ * 
+ * @param {Array<Array<number>>} regions - Normalized regions
+ */
+export function renderRegions(regions) {
+  currentRegions = regions;
+  regionLayer.querySelectorAll(".region:not(.drawing)").forEach(element => element.remove());
+  
+  regions.forEach((region, index) => {
+    const element = document.createElement("div");
+    element.className = "region";
+    placeRegionElement(element, region);
+    
+    const removeButton = document.createElement("button");
+    removeButton.textContent = "×";
+    removeButton.title = "Remove region";
+    removeButton.addEventListener("click", () => {
+      onRegionsChange(currentRegions.filter((_, i) => i !== index));
+    });
+    
+    element.appendChild(removeButton);
+    regionLayer.appendChild(element);
+  });
+}
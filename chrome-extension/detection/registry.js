@@ -0,0 +1,92 @@
+/**
+ * Registry of the exported YOLO web models packaged with the extension
+ * 
+ * Models are listed in public/models.json as { id, name, path }, where path is
+ * the folder holding model.json and metadata.yaml. Everything else about a
+ * model (task, input size, classes) is read from its metadata.
+ */
+
+import { fetchMetadata, toClassNames } from './metadata.js';
+
+/**
+ * Model used when no model has been chosen or the chosen one is gone
+ * @type {string}
+ */
+export const DEFAULT_MODEL_ID = "yolo11n";
+
+/**
+ * Tasks the detection pipeline can decode
+ * @type {Array<string>}
+ */
+export const SUPPORTED_TASKS = ["detect", "segment", "pose"];
+
+/**
+ * Fetches the list of registered models
+ * 
+ * @returns {Promise<Array<{id: string, name: string, path: string}>>} Registered models
+ * @throws {Error} If the registry can't be loaded or isn't a list
+ */
+export async function fetchRegistry() {
+  const registryUrl = chrome.runtime.getURL('models.json');
+  const response = await fetch(registryUrl);
+  if (!response.ok) {
+    throw new Error(`Could not load ${registryUrl}: ${response.status}`);
+  }
+  
+  const registry = await response.json();
+  if (!Array.isArray(registry)) {
+    throw new Error(`Invalid model registry in ${registryUrl}`);
+  }
+  return registry;
+}
+
+/**
+ * Resolves a registered model into everything needed to load and run it
+ * 
+ * The result is a plain object so it can be posted to the inference worker,
+ * which has no access to chrome.runtime.
+ * 
+ * @param {string} [modelId] - ID of the model, defaults to the first registered model
+ * @returns {Promise<Object>} Model info with id, name, task, extensionVersion, URLs, inputSize, classNames, numClasses and kptShape
+ * @throws {Error} If the model's metadata is missing or describes an unsupported task
+ */
+export async function resolveModel(modelId = DEFAULT_MODEL_ID) {
+  const registry = await fetchRegistry();
+  const entry = registry.find(item => item.id === modelId) || registry[0];
+  if (!entry) {
+    throw new Error("No models registered in models.json");
+  }
+  
+  const baseUrl = chrome.runtime.getURL(`${entry.path}/`);
+  const metadataUrl = `${baseUrl}metadata.yaml`;
+  const metadata = await fetchMetadata(metadataUrl);
+  
+  const task = metadata.task || "detect";
+  if (!SUPPORTED_TASKS.includes(task)) {
+    throw new Error(`Model "${entry.name}" has unsupported task "${task}"`);
+  }
+  if (task === "pose" && !Array.isArray(metadata.kpt_shape)) {
+    throw new Error(`Pose model "${entry.name}" has no kpt_shape in its metadata`);
+  }
+  
+  // imgsz is [height, width], or a single number for square inputs
+  const imgsz = [].concat(metadata.imgsz || 640);
+  const inputSize = [imgsz[0], imgsz[1] ?? imgsz[0]];
+  const classNames = toClassNames(metadata.names);
+  
+  return {
+    id: entry.id,
+    name: entry.name,
+    task,
+    version: metadata.version || null,
+    // Packaged model files only change with the extension, which the model cache relies on
+    extensionVersion: chrome.runtime.getManifest().version,
+    modelUrl: `${baseUrl}model.json`,
+    metadataUrl,
+    inputSize,
+    classNames,
+    numClasses: Object.keys(classNames).length,
+    // Pose models list [keypoints, values per keypoint], e.g. [17, 3] for x, y, visibility
+    kptShape: metadata.kpt_shape || null
+  };
+}
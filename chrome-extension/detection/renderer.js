@@ -0,0 +1,261 @@
+/**
+ * Box renderers for the detection overlay
+ * 
+ * Two renderers share one interface, so they can be swapped at runtime:
+ *   dom    - one absolutely positioned element per box (see ui.js)
+ *   canvas - every box and label drawn on a single canvas in one pass per
+ *            frame, which avoids layout work when many objects are on screen
+ * 
+ * Each renderer has render(detections, container), clear(container) to fade
+ * out every box, and reset(container) to remove them at once.
+ */
+
+import {
+  renderBoxElements, clearBoxElements, resetBoxElements, getBoxColor, hexToRgba
+} from './ui.js';
+
+/**
+ * Duration of the fade-in and fade-out animations in milliseconds
+ * @type {number}
+ */
+const FADE_MS = 300;
+
+/**
+ * Label font size in CSS pixels, matching the DOM labels
+ * @type {number}
+ */
+const LABEL_FONT_SIZE = 12;
+
+/**
+ * Canvas the canvas renderer draws on, created on first use
+ * @type {HTMLCanvasElement|null}
+ */
+let boxCanvas = null;
+
+/**
+ * Boxes drawn by the canvas renderer, keyed by detection ID
+ * Each holds the latest detection, its current opacity and the opacity it fades towards
+ * @type {Map<string, {detection: Object, opacity: number, target: number}>}
+ */
+const canvasBoxes = new Map();
+
+/**
+ * Pending animation frame of the canvas renderer, null when idle
+ * @type {number|null}
+ */
+let frameRequest = null;
+
+/**
+ * Time of the previous canvas draw, for the fade animations
+ * @type {number|null}
+ */
+let lastDrawTime = null;
+
+/**
+ * Puts the canvas in the container, creating it if needed
+ * 
+ * @param {HTMLElement} container - Container element holding the boxes
+ * @returns {HTMLCanvasElement} Box canvas
+ */
+function attachCanvas(container) {
+  if (!boxCanvas) {
+    boxCanvas = document.createElement("canvas");
+    boxCanvas.className = "box-canvas";
+  }
+  if (boxCanvas.parentNode !== container) {
+    container.appendChild(boxCanvas);
+  }
+  return boxCanvas;
+}
+
+/**
+ * Updates the canvas boxes with the detections of a frame
+ * New objects fade in and objects no longer detected fade out
+ * 
+ * @param {Array<Object>} detections - Visible detections with id and screenBox
+ * @param {HTMLElement} container - Container element holding the boxes
+ */
+function renderCanvasBoxes(detections, container) {
+  attachCanvas(container);
+  const currentIds = new Set();
+  
+  for (const detection of detections) {
+    if (!detection || !detection.id) continue;
+    currentIds.add(detection.id);
+    
+    const box = canvasBoxes.get(detection.id);
+    if (box) {
+      box.detection = detection;
+      box.target = 1;
+    } else {
+      canvasBoxes.set(detection.id, { detection, opacity: 0, target: 1 });
+    }
+  }
+  
+  for (const [id, box] of canvasBoxes) {
+    if (!currentIds.has(id)) box.target = 0;
+  }
+  
+  scheduleDraw();
+}
+
+/**
+ * Fades out every canvas box
+ * 
+ * @param {HTMLElement} container - Container element holding the boxes
+ */
+function clearCanvasBoxes(container) {
+  attachCanvas(container);
+  canvasBoxes.forEach(box => {
+    box.target = 0;
+  });
+  scheduleDraw();
+}
+
+/**
+ * Removes every canvas box at once
+ */
+function resetCanvasBoxes() {
+  canvasBoxes.clear();
+  if (frameRequest !== null) {
+    cancelAnimationFrame(frameRequest);
+    frameRequest = null;
+  }
+  lastDrawTime = null;
+  
+  if (boxCanvas) {
+    boxCanvas.getContext("2d").clearRect(0, 0, boxCanvas.width, boxCanvas.height);
+    boxCanvas.remove();
+  }
+}
+
+/**
+ * Requests a draw on the next animation frame unless one is pending
+ */
+function scheduleDraw() {
+  if (frameRequest === null) {
+    frameRequest = requestAnimationFrame(drawCanvasBoxes);
+  }
+}
+
+/**
+ * Advances the fades and draws every canvas box and label
+ * Keeps scheduling itself while a fade is still running
+ * 
+ * @param {number} time - Animation frame timestamp
+ */
+function drawCanvasBoxes(time) {
+  frameRequest = null;
+  const elapsed = lastDrawTime === null ? 16 : time - lastDrawTime;
+  lastDrawTime = time;
+  
+  // Step every opacity towards its target and drop boxes that finished fading out
+  let animating = false;
+  for (const [id, box] of canvasBoxes) {
+    const step = elapsed / FADE_MS;
+    box.opacity = box.target > box.opacity
+      ? Math.min(box.target, box.opacity + step)
+      : Math.max(box.target, box.opacity - step);
+    
+    if (box.opacity === 0 && box.target === 0) {
+      canvasBoxes.delete(id);
+    } else if (box.opacity !== box.target) {
+      animating = true;
+    }
+  }
+  
+  // Size the canvas from the container's inline size, which is set every frame,
+  // so drawing never has to wait for layout
+  const container = boxCanvas.parentNode;
+  const width = container ? parseFloat(container.style.width) || 0 : 0;
+  const height = container ? parseFloat(container.style.height) || 0 : 0;
+  const ratio = window.devicePixelRatio || 1;
+  if (boxCanvas.width !== Math.round(width * ratio) || boxCanvas.height !== Math.round(height * ratio)) {
+    boxCanvas.width = Math.round(width * ratio);
+    boxCanvas.height = Math.round(height * ratio);
+    boxCanvas.style.width = `${width}px`;
+    boxCanvas.style.height = `${height}px`;
+  }
+  
+  const context = boxCanvas.getContext("2d");
+  context.setTransform(ratio, 0, 0, ratio, 0, 0);
+  context.clearRect(0, 0, width, height);
+  context.font = `${LABEL_FONT_SIZE}px Arial, sans-serif`;
+  context.textBaseline = "top";
+  
+  for (const { detection, opacity } of canvasBoxes.values()) {
+    drawBox(context, detection, opacity, width);
+  }
+  
+  if (animating) scheduleDraw();
+  else lastDrawTime = null;
+}
+
+/**
+ * Draws one box with its label, styled like the DOM boxes
+ * 
+ * @param {CanvasRenderingContext2D} context - Box canvas context in CSS pixels
+ * @param {Object} detection - Detection with screenBox, className, score, class and isKeywordMatch
+ * @param {number} opacity - Current fade opacity from 0 to 1
+ * @param {number} canvasWidth - Canvas width in CSS pixels
+ */
+function drawBox(context, detection, opacity, canvasWidth) {
+  const { x1, y1, width, height } = detection.screenBox;
+  const color = getBoxColor(detection.class, detection.isKeywordMatch);
+  context.globalAlpha = opacity;
+  
+  // Semi-transparent fill with a 2px border drawn inside the box
+  context.fillStyle = hexToRgba(color, 0.2);
+  context.fillRect(x1, y1, width, height);
+  context.strokeStyle = color;
+  context.lineWidth = 2;
+  context.strokeRect(x1 + 1, y1 + 1, Math.max(0, width - 2), Math.max(0, height - 2));
+  
+  // Label above the box, moved inside when it would leave the top edge
+  // and right-aligned when it would leave the right edge
+  const label = `${detection.className} - ${Math.round(detection.score * 100)}%`;
+  const labelWidth = context.measureText(label).width + 12;
+  const labelHeight = LABEL_FONT_SIZE + 6;
+  const labelY = y1 - labelHeight >= 0 ? y1 - labelHeight : y1;
+  const labelX = x1 + labelWidth > canvasWidth ? x1 + width - labelWidth : x1;
+  
+  context.fillStyle = color;
+  context.beginPath();
+  context.roundRect(labelX, labelY, labelWidth, labelHeight, [3, 3, 0, 0]);
+  context.fill();
+  context.fillStyle = "#fff";
+  context.fillText(label, labelX + 6, labelY + 3);
+  context.globalAlpha = 1;
+}
+
+/**
+ * Available renderers, keyed by the name stored in the settings
+ * @type {Object.<string, Object>}
+ */
+const RENDERERS = {
+  dom: {
+    name: "dom",
+    render: renderBoxElements,
+    clear: clearBoxElements,
+    reset: (container) => {
+      resetBoxElements();
+      container.querySelectorAll(".detection-box").forEach(box => box.remove());
+    }
+  },
+  canvas: {
+    name: "canvas",
+    render: renderCanvasBoxes,
+    clear: clearCanvasBoxes,
+    reset: resetCanvasBoxes
+  }
+};
+
+/**
+ * Returns a box renderer by name
+ * 
+ * @param {string} name - "dom" or "canvas"
+ * @returns {Object} Renderer with name, render, clear and reset; the DOM renderer for unknown names
+ */
+export function getRenderer(name) {
+  return RENDERERS[name] || RENDERERS.dom;
+}
@@ -0,0 +1,271 @@
+/**
+ * Review screen for the captured dataset
+ * 
+ * Lists captured frames as thumbnails and shows the selected frame with its
+ * boxes. Boxes can be deleted or given another class, and missing boxes can
+ * be drawn by dragging on the frame.
+ */
+
+import {
+  getSamples, getSample, removeSample, removeAnnotation, setAnnotationClass, addAnnotation
+} from './dataset.js';
+import { getBoxColor, escapeHtml } from './ui.js';
+
+/**
+ * Largest width of the review canvas in CSS pixels
+ * @type {number}
+ */
+const REVIEW_MAX_WIDTH = 640;
+
+/**
+ * ID of the sample shown in the review canvas
+ * @type {number|null}
+ */
+let selectedSampleId = null;
+
+/**
+ * Decoded image of the selected sample
+ * @type {ImageBitmap|null}
+ */
+let selectedImage = null;
+
+/**
+ * Object URLs of the thumbnails, keyed by sample ID
+ * @type {Map<number, string>}
+ */
+const thumbnailUrls = new Map();
+
+/**
+ * Returns the class names of the running model
+ * @type {Function}
+ */
+let getClassNames = () => ({});
+
+/**
+ * Box being drawn by dragging, in source pixels
+ * @type {{x: number, y: number, box: Array<number>}|null}
+ */
+let drawing = null;
+
+/**
+ * Connects the review controls
+ * 
+ * @param {Function} classNamesProvider - Returns the current model's class names keyed by ID
+ */
+export function initReview(classNamesProvider) {
+  getClassNames = classNamesProvider;
+  const canvas = document.getElementById("reviewCanvas");
+  
+  canvas.addEventListener("mousedown", (event) => {
+    if (selectedSampleId === null) return;
+    const point = toSourcePoint(canvas, event);
+    drawing = { x: point.x, y: point.y, box: null };
+  });
+  
+  canvas.addEventListener("mousemove", (event) => {
+    if (!drawing) return;
+    const point = toSourcePoint(canvas, event);
+    drawing.box = [
+      Math.min(drawing.x, point.x), Math.min(drawing.y, point.y),
+      Math.max(drawing.x, point.x), Math.max(drawing.y, point.y)
+    ];
+    drawReview();
+  });
+  
+  window.addEventListener("mouseup", () => {
+    if (!drawing) return;
+    const { box } = drawing;
+    drawing = null;
+    
+    // Ignore clicks and tiny accidental drags
+    if (box && box[2] - box[0] >= 4 && box[3] - box[1] >= 4) {
+      const classId = Number(document.getElementById("reviewNewClass").value);
+      addAnnotation(selectedSampleId, classId, getClassNames()[classId], box);
+      renderAnnotations();
+    }
+    drawReview();
+  });
+  
+  document.getElementById("reviewDeleteFrame").addEventListener("click", () => {
+    if (selectedSampleId === null) return;
+    removeSample(selectedSampleId);
+    selectSample(null);
+    renderReview();
+  });
+  
+  renderReview();
+}
+
+/**
+ * Converts a mouse position on the review canvas to source pixels
+ * 
+ * @param {HTMLCanvasElement} canvas - Review canvas
+ * @param {MouseEvent} event - Mouse event
+ * @returns {{x: number, y: number}} Position in the sample's pixels
+ */
+function toSourcePoint(canvas, event) {
+  const rect = canvas.getBoundingClientRect();
+  return {
+    x: (event.clientX - rect.left) * (canvas.width / rect.width),
+    y: (event.clientY - rect.top) * (canvas.height / rect.height)
+  };
+}
+
+/**
+ * Re-renders the thumbnail list and the selected sample
+ * Call after samples are added or removed
+ */
+export function renderReview() {
+  const samples = getSamples();
+  const list = document.getElementById("datasetSamples");
+  document.getElementById("datasetCount").textContent =
+    `${samples.length} frame${samples.length === 1 ? "" : "s"}, ` +
+    `${samples.reduce((sum, sample) => sum + sample.annotations.length, 0)} boxes`;
+  
+  // Release thumbnails of removed samples
+  for (const [sampleId, url] of thumbnailUrls) {
+    if (!getSample(sampleId)) {
+      URL.revokeObjectURL(url);
+      thumbnailUrls.delete(sampleId);
+    }
+  }
+  
+  list.innerHTML = "";
+  for (const sample of samples) {
+    if (!thumbnailUrls.has(sample.id)) {
+      thumbnailUrls.set(sample.id, URL.createObjectURL(sample.image));
+    }
+    
+    const thumbnail = document.createElement("img");
+    thumbnail.src = thumbnailUrls.get(sample.id);
+    thumbnail.title = `${sample.fileName} (${sample.annotations.length} boxes)`;
+    thumbnail.className = sample.id === selectedSampleId ? "selected" : "";
+    thumbnail.addEventListener("click", () => selectSample(sample.id));
+    list.appendChild(thumbnail);
+  }
+  
+  document.getElementById("reviewEditor").style.display = selectedSampleId === null ? "none" : "block";
+  document.getElementById("exportYolo").disabled = samples.length === 0;
+  document.getElementById("exportCoco").disabled = samples.length === 0;
+  document.getElementById("clearDataset").disabled = samples.length === 0;
+}
+
+/**
+ * Shows a sample in the review editor
+ * 
+ * @param {number|null} sampleId - Sample to show, or null to close the editor
+ */
+async function selectSample(sampleId) {
+  selectedSampleId = sampleId;
+  if (selectedImage) selectedImage.close();
+  selectedImage = null;
+  
+  const sample = sampleId === null ? null : getSample(sampleId);
+  if (sample) {
+    selectedImage = await createImageBitmap(sample.image);
+    document.getElementById("reviewNewClass").innerHTML = getClassOptionsHtml();
+  }
+  
+  renderReview();
+  renderAnnotations();
+  drawReview();
+}
+
+/**
+ * Clears the selection, e.g. after the dataset is emptied
+ */
+export function resetReview() {
+  selectSample(null);
+}
+
+/**
+ * Builds <option> elements for every model class, valued by class ID
+ * @returns {string} Options HTML
+ */
+function getClassOptionsHtml() {
+  return Object.entries(getClassNames())
+    .map(([classId, className]) => `<option value="${classId}">${escapeHtml(className)}</option>`)
+    .join("");
+}
+
+/**
+ * Lists the boxes of the selected sample with class pickers and delete buttons
+ */
+function renderAnnotations() {
+  const table = document.getElementById("reviewAnnotations");
+  const sample = selectedSampleId === null ? null : getSample(selectedSampleId);
+  if (!sample) {
+    table.innerHTML = "";
+    return;
+  }
+  
+  const classOptions = getClassOptionsHtml();
+  
+  table.innerHTML = sample.annotations.map((annotation, index) => `
+    <tr>
+      <td><span class="swatch" style="background: ${getBoxColor(annotation.class, false)}"></span> ${index + 1}</td>
+      <td><select data-index="${index}">${classOptions}</select></td>
+      <td>${annotation.box.map(value => Math.round(value)).join(", ")}</td>
+      <td><button data-index="${index}" title="Delete box">&times;</button></td>
+    </tr>
+  `).join("");
+  
+  table.querySelectorAll("select").forEach(select => {
+    const index = Number(select.dataset.index);
+    select.value = String(sample.annotations[index].class);
+    select.addEventListener("change", () => {
+      const classId = Number(select.value);
+      setAnnotationClass(sample.id, index, classId, getClassNames()[classId]);
+      renderAnnotations();
+      drawReview();
+    });
+  });
+  
+  table.querySelectorAll("button").forEach(button => {
+    button.addEventListener("click", () => {
+      removeAnnotation(sample.id, Number(button.dataset.index));
+      renderReview();
+      renderAnnotations();
+      drawReview();
+    });
+  });
+}
+
+/**
+ * Draws the selected sample and its boxes on the review canvas
+ */
+function drawReview() {
+  const canvas = document.getElementById("reviewCanvas");
+  const sample = selectedSampleId === null ? null : getSample(selectedSampleId);
+  if (!sample || !selectedImage) return;
+  
+  // The canvas works in source pixels and is scaled down by CSS
+  canvas.width = sample.width;
+  canvas.height = sample.height;
+  const displayWidth = Math.min(sample.width, REVIEW_MAX_WIDTH);
+  canvas.style.width = `${displayWidth}px`;
+  
+  const context = canvas.getContext("2d");
+  context.drawImage(selectedImage, 0, 0);
+  
+  // Keep lines and labels readable however large the frame is
+  const pixelScale = sample.width / displayWidth;
+  context.lineWidth = 2 * pixelScale;
+  context.font = `bold ${Math.round(12 * pixelScale)}px Arial`;
+  
+  sample.annotations.forEach(({ class: classId, className, box: [x1, y1, x2, y2] }, index) => {
+    const color = getBoxColor(classId, false);
+    context.strokeStyle = color;
+    context.strokeRect(x1, y1, x2 - x1, y2 - y1);
+    context.fillStyle = color;
+    context.fillText(`${index + 1}. ${className}`, x1 + 2 * pixelScale, y1 + 14 * pixelScale);
+  });
+  
+  if (drawing && drawing.box) {
+    const [x1, y1, x2, y2] = drawing.box;
+    context.setLineDash([6 * pixelScale, 4 * pixelScale]);
+    context.strokeStyle = "#ffffff";
+    context.strokeRect(x1, y1, x2 - x1, y2 - y1);
+    context.setLineDash([]);
+  }
+}
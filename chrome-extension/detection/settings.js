@@ -0,0 +1,107 @@
+/**
+ * User-adjustable detection settings
+ * Values are persisted in Chrome extension storage next to the search keyword
+ */
+
+/**
+ * Storage key under which settings are persisted
+ * @type {string}
+ */
+const STORAGE_KEY = "detectionSettings";
+
+/**
+ * Default values used when nothing has been stored yet
+ * @type {Object}
+ */
+export const DEFAULT_SETTINGS = {
+  confidenceThreshold: 0.4, // Minimum confidence score for a detection
+  iouThreshold: 0.45,       // Intersection over Union threshold for NMS
+  maxDetections: 100,       // Maximum number of boxes kept after NMS
+  perClassNms: false,       // Run NMS separately for each class instead of across all classes
+  classThresholds: {},      // Per-class minimum confidences, keyed by class name
+  smoothing: 0,             // Weight of the previous box and score in the moving average (0 = off)
+  enterHits: 1,             // Consecutive frames an object must be detected before its box appears
+  exitMisses: 0,            // Frames an object may be missed before its box disappears
+  useWorker: true,          // Run inference in a Web Worker instead of on the page
+  backend: "auto",          // TensorFlow.js backend, or "auto" to benchmark and pick the fastest
+  benchmarkedBackend: null, // Backend chosen by the last automatic benchmark
+  modelId: null,            // Registered model to run, null for the default model
+  regions: [],              // Regions of interest normalized to 0-1, empty to detect on the whole frame
+  tiledInference: false,    // Split the frame into overlapping tiles so small objects get more model pixels
+  tileRows: 2,              // Tile grid rows
+  tileCols: 2,              // Tile grid columns
+  tileOverlap: 0.2,         // Fraction of a tile shared with each neighbour
+  tileFullFrame: true,      // Also run the whole frame once, for objects larger than a tile
+  tileMerge: "nms",         // How tile results are merged: "nms" or "wbf" (weighted box fusion)
+  alertRules: [],           // Keyword alert rules, see alerts.js
+  counting: { zones: [], lines: [] }, // Counting zones and lines normalized to 0-1, see zones.js
+  renderer: "dom"           // Box renderer: "dom" for one element per box, "canvas" to draw all boxes on a canvas
+};
+
+/**
+ * Current settings, starting from defaults until storage is loaded
+ * @type {Object}
+ */
+let settings = { ...DEFAULT_SETTINGS };
+
+/**
+ * Functions notified whenever a setting changes
+ * @type {Array<Function>}
+ */
+const changeListeners = [];
+
+/**
+ * Loads settings from Chrome extension storage
+ * Missing keys fall back to their default values
+ * 
+ * @returns {Promise<Object>} The loaded settings
+ */
+export function loadSettings() {
+  return new Promise((resolve) => {
+    chrome.storage.local.get(STORAGE_KEY, (data) => {
+      settings = { ...DEFAULT_SETTINGS, ...(data[STORAGE_KEY] || {}) };
+      resolve(settings);
+    });
+  });
+}
+
+/**
+ * Returns the current settings
+ * @returns {Object} Current detection settings
+ */
+export function getSettings() {
+  return settings;
+}
+
+/**
+ * Updates a single setting and persists all settings to storage
+ * 
+ * @param {string} key - Setting name
+ * @param {*} value - New value for the setting
+ */
+export function updateSetting(key, value) {
+  settings = { ...settings, [key]: value };
+  chrome.storage.local.set({ [STORAGE_KEY]: settings });
+  changeListeners.forEach(listener => listener(settings));
+}
+
+/**
+ * Replaces the current settings without persisting them
+ * Used by the inference worker and the offscreen document, which have no
+ * access to extension storage
+ * 
+ * @param {Object} values - Settings received from the page or service worker
+ */
+export function applySettings(values) {
+  settings = { ...DEFAULT_SETTINGS, ...values };
+  changeListeners.forEach(listener => listener(settings));
+}
+
+/**
+ * Registers a function to be called with the new settings after every change
+ * 
+ * @param {Function} listener - Called with the updated settings object
+ */
+export function onSettingsChange(listener) {
+  changeListeners.push(listener);
+}
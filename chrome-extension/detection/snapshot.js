@@ -0,0 +1,101 @@
+/**
+ * Annotated snapshots of the current frame
+ * 
+ * Draws the frame at its native resolution with the same boxes, labels and
+ * colours as the live overlay, then saves it as a PNG or copies it to the
+ * clipboard.
+ */
+
+import { getBoxColor, hexToRgba } from './ui.js';
+import { getSourceSize } from './sources.js';
+
+/**
+ * Renders the current frame and its detections onto a new canvas
+ * 
+ * @param {HTMLVideoElement|HTMLImageElement} source - Element showing the frame
+ * @param {Array<Object>} detections - Visible detections with sourceBox, class, score and isKeywordMatch
+ * @param {HTMLCanvasElement} [overlayCanvas] - Live mask and skeleton layer, scaled up onto the snapshot
+ * @returns {HTMLCanvasElement} Canvas at the frame's native resolution
+ */
+export function renderSnapshot(source, detections, overlayCanvas) {
+  const { width, height } = getSourceSize(source);
+  const canvas = document.createElement("canvas");
+  canvas.width = width;
+  canvas.height = height;
+  
+  const context = canvas.getContext("2d");
+  context.drawImage(source, 0, 0, width, height);
+  
+  // The overlay is drawn at display size; scale it and the line widths up to match
+  const displayWidth = source.getBoundingClientRect().width;
+  const scale = displayWidth > 0 ? width / displayWidth : 1;
+  if (overlayCanvas && overlayCanvas.width > 0) {
+    context.drawImage(overlayCanvas, 0, 0, width, height);
+  }
+  
+  const fontSize = Math.round(12 * scale);
+  context.font = `${fontSize}px Arial, sans-serif`;
+  context.textBaseline = "top";
+  
+  for (const detection of detections) {
+    const [x1, y1, x2, y2] = detection.sourceBox;
+    const color = getBoxColor(detection.class, detection.isKeywordMatch);
+    
+    // Semi-transparent fill and border, as on the live boxes
+    context.fillStyle = hexToRgba(color, 0.2);
+    context.fillRect(x1, y1, x2 - x1, y2 - y1);
+    context.lineWidth = 2 * scale;
+    context.strokeStyle = color;
+    context.strokeRect(x1, y1, x2 - x1, y2 - y1);
+    
+    // Label above the box, or inside it when the box touches the top edge
+    const label = `${detection.className} - ${Math.round(detection.score * 100)}%`;
+    const paddingX = 6 * scale;
+    const paddingY = 2 * scale;
+    const labelWidth = context.measureText(label).width + paddingX * 2;
+    const labelHeight = fontSize + paddingY * 2;
+    const labelY = y1 - labelHeight >= 0 ? y1 - labelHeight : y1;
+    
+    context.fillStyle = color;
+    context.fillRect(x1, labelY, labelWidth, labelHeight);
+    context.fillStyle = "#fff";
+    context.fillText(label, x1 + paddingX, labelY + paddingY);
+  }
+  
+  return canvas;
+}
+
+/**
+ * Encodes a canvas as a PNG blob
+ * 
+ * @param {HTMLCanvasElement} canvas - Rendered snapshot
+ * @returns {Promise<Blob>} PNG image
+ */
+export function toPngBlob(canvas) {
+  return new Promise((resolve, reject) => {
+    canvas.toBlob(blob => blob ? resolve(blob) : reject(new Error("Snapshot could not be encoded")), "image/png");
+  });
+}
+
+/**
+ * Copies a snapshot to the clipboard as a PNG image
+ * 
+ * @param {HTMLCanvasElement} canvas - Rendered snapshot
+ * @returns {Promise<void>} Resolves once the clipboard holds the image
+ */
+export async function copySnapshot(canvas) {
+  const blob = await toPngBlob(canvas);
+  await navigator.clipboard.write([new ClipboardItem({ "image/png": blob })]);
+}
+
+/**
+ * Builds a snapshot file name from the search keyword and the current time
+ * 
+ * @param {string} keyword - Current search keyword, may be empty
+ * @returns {string} File name such as "snapshot-person-2024-05-01T12-30-00.png"
+ */
+export function getSnapshotFileName(keyword) {
+  const timestamp = new Date().toISOString().replace(/\.\d+Z$/, "").replace(/:/g, "-");
+  const slug = keyword.toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "");
+  return `snapshot-${slug ? `${slug}-` : ""}${timestamp}.png`;
+}
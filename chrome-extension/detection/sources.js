@@ -0,0 +1,195 @@
+/**
+ * Input sources for the detection page
+ * 
+ * Frames can come from a shared screen, a camera, a local video file or a
+ * still image. Screens, cameras and video files play in the <video> element,
+ * still images are shown in the <img> element, and both are read by the same
+ * detection path.
+ */
+
+/**
+ * Live media stream of the current screen or camera source
+ * @type {MediaStream|null}
+ */
+let activeStream = null;
+
+/**
+ * Object URL of the current file source
+ * @type {string|null}
+ */
+let activeObjectUrl = null;
+
+/**
+ * Kind of the current source: "screen", "camera", "video", "image" or null
+ * @type {string|null}
+ */
+let activeSourceType = null;
+
+/**
+ * Returns the kind of the current source
+ * @returns {string|null} "screen", "camera", "video", "image" or null if none is open
+ */
+export function getSourceType() {
+  return activeSourceType;
+}
+
+/**
+ * Returns whether the current source is a single still image
+ * @returns {boolean} True for image sources
+ */
+export function isStillSource() {
+  return activeSourceType === "image";
+}
+
+/**
+ * Returns the native pixel size of a video or image element
+ * 
+ * @param {HTMLVideoElement|HTMLImageElement} element - Source element
+ * @returns {{width: number, height: number}} Frame size in pixels
+ */
+export function getSourceSize(element) {
+  if (element instanceof HTMLImageElement) {
+    return { width: element.naturalWidth, height: element.naturalHeight };
+  }
+  return { width: element.videoWidth, height: element.videoHeight };
+}
+
+/**
+ * Stops the current source and releases its stream or object URL
+ * 
+ * @param {HTMLVideoElement} videoElement - Video element used by stream and file sources
+ * @param {HTMLImageElement} imageElement - Image element used by still images
+ */
+export function closeSource(videoElement, imageElement) {
+  if (activeStream) {
+    activeStream.getTracks().forEach(track => {
+      track.onended = null;
+      track.stop();
+    });
+    activeStream = null;
+  }
+  
+  videoElement.pause();
+  videoElement.srcObject = null;
+  videoElement.removeAttribute("src");
+  videoElement.controls = false;
+  videoElement.load();
+  imageElement.removeAttribute("src");
+  
+  if (activeObjectUrl) {
+    URL.revokeObjectURL(activeObjectUrl);
+    activeObjectUrl = null;
+  }
+  activeSourceType = null;
+}
+
+/**
+ * Plays a media stream in the video element and waits for its first frame size
+ * 
+ * @param {HTMLVideoElement} videoElement - Video element to play into
+ * @param {MediaStream} stream - Screen or camera stream
+ * @param {Function} onEnded - Called when the user stops sharing
+ * @returns {Promise<HTMLVideoElement>} The video element, once its size is known
+ */
+function playStream(videoElement, stream, onEnded) {
+  activeStream = stream;
+  videoElement.srcObject = stream;
+  
+  // Handle user-initiated stop of screen sharing or camera access
+  stream.getVideoTracks()[0].onended = onEnded;
+  
+  return waitForEvent(videoElement, "loadedmetadata").then(() => videoElement);
+}
+
+/**
+ * Resolves once an element fires an event, or rejects on its error event
+ * 
+ * @param {HTMLElement} element - Media element to listen on
+ * @param {string} eventName - Event signalling success
+ * @returns {Promise<void>} Settles on the first of the two events
+ */
+function waitForEvent(element, eventName) {
+  return new Promise((resolve, reject) => {
+    // Whichever event comes first removes both listeners, so none pile up on the shared element
+    const onEvent = () => {
+      removeListeners();
+      resolve();
+    };
+    const onError = () => {
+      removeListeners();
+      reject(new Error("The file could not be decoded"));
+    };
+    const removeListeners = () => {
+      element.removeEventListener(eventName, onEvent);
+      element.removeEventListener("error", onError);
+    };
+    
+    element.addEventListener(eventName, onEvent);
+    element.addEventListener("error", onError);
+  });
+}
+
+/**
+ * Starts screen capture using the browser's MediaDevices API
+ * Requests user permission to share screen content
+ * 
+ * @param {HTMLVideoElement} videoElement - Video element to play into
+ * @param {Function} onEnded - Called when the user stops sharing
+ * @returns {Promise<HTMLVideoElement>} The video element, once the stream is playing
+ */
+export async function openScreen(videoElement, onEnded) {
+  // Request screen sharing with cursor
+  const stream = await navigator.mediaDevices.getDisplayMedia({
+    video: { cursor: "always" },
+    audio: false
+  });
+  activeSourceType = "screen";
+  return playStream(videoElement, stream, onEnded);
+}
+
+/**
+ * Starts the default camera
+ * 
+ * @param {HTMLVideoElement} videoElement - Video element to play into
+ * @param {Function} onEnded - Called when the camera stops, e.g. when unplugged
+ * @returns {Promise<HTMLVideoElement>} The video element, once the stream is playing
+ */
+export async function openCamera(videoElement, onEnded) {
+  const stream = await navigator.mediaDevices.getUserMedia({ video: true, audio: false });
+  activeSourceType = "camera";
+  return playStream(videoElement, stream, onEnded);
+}
+
+/**
+ * Opens a local video or image file
+ * 
+ * Videos play in the video element with native controls, so the user can pause
+ * and seek. Images are decoded into the image element.
+ * 
+ * @param {File} file - Video or image file chosen or dropped by the user
+ * @param {HTMLVideoElement} videoElement - Element used for videos
+ * @param {HTMLImageElement} imageElement - Element used for images
+ * @returns {Promise<HTMLVideoElement|HTMLImageElement>} The element now showing the file
+ * @throws {Error} If the file is neither a video nor an image, or can't be decoded
+ */
+export async function openFile(file, videoElement, imageElement) {
+  const isImage = file.type.startsWith("image/");
+  if (!isImage && !file.type.startsWith("video/")) {
+    throw new Error(`Unsupported file type "${file.type || file.name}"`);
+  }
+  
+  activeObjectUrl = URL.createObjectURL(file);
+  
+  if (isImage) {
+    activeSourceType = "image";
+    imageElement.src = activeObjectUrl;
+    await imageElement.decode();
+    return imageElement;
+  }
+  
+  activeSourceType = "video";
+  videoElement.controls = true;
+  videoElement.src = activeObjectUrl;
+  await waitForEvent(videoElement, "loadeddata");
+  return videoElement;
+}
@@ -0,0 +1,219 @@
+/**
+ * IoU-based multi-object tracker with a constant-velocity motion model
+ * 
+ * Each track predicts where its object should be in the current frame,
+ * detections are assigned to tracks greedily by IoU against those predictions,
+ * and tracks survive a few missed frames before being dropped. This keeps
+ * IDs stable while objects move and during brief detection dropouts.
+ * 
+ * Optional smoothing and enter/exit hysteresis (from settings) decide which
+ * tracks are reported and with which box and score.
+ */
+
+import { computeIoU, toCenterBox, toCornerBox, mapPointBetweenBoxes } from './geometry.js';
+import { getSettings } from './settings.js';
+
+/**
+ * Tracker tuning parameters
+ */
+const MIN_MATCH_IOU = 0.2;     // Minimum IoU between prediction and detection to match
+const MAX_MISSES = 5;          // Consecutive missed frames before a track is dropped (at least)
+const VELOCITY_SMOOTHING = 0.5; // Weight of the newest velocity measurement (0-1)
+
+/**
+ * Currently active tracks
+ * @type {Array<Object>}
+ */
+let tracks = [];
+
+/**
+ * Counter used to generate unique track IDs
+ * @type {number}
+ */
+let nextTrackId = 1;
+
+/**
+ * Predicts a track's box at the given time using its velocity
+ * 
+ * @param {Object} track - Track to predict
+ * @param {number} timestamp - Time of the current frame in milliseconds
+ * @returns {Array<number>} Predicted box [x1, y1, x2, y2]
+ */
+function predictBox(track, timestamp) {
+  const elapsed = timestamp - track.lastUpdate;
+  const predicted = track.state.map((value, i) => value + track.velocity[i] * elapsed);
+  return toCornerBox(predicted);
+}
+
+/**
+ * Creates a new track from an unmatched detection
+ * 
+ * @param {Object} detection - Detection starting the track
+ * @param {number} timestamp - Time of the current frame in milliseconds
+ * @returns {Object} The new track
+ */
+function createTrack(detection, timestamp) {
+  return {
+    id: `${detection.class}_${nextTrackId++}`,
+    class: detection.class,
+    state: toCenterBox(detection.sourceBox), // [cx, cy, w, h]
+    velocity: [0, 0, 0, 0],                  // Change of state per millisecond
+    smoothedScore: detection.score,
+    detection,   // Latest matched detection
+    lastUpdate: timestamp,
+    age: 1,      // Frames since the track was created
+    hits: 1,     // Frames in which the track was matched
+    streak: 1,   // Consecutive frames with a match
+    misses: 0,   // Consecutive frames without a match
+    confirmed: false // Set once the track has enough consecutive hits to be shown
+  };
+}
+
+/**
+ * Updates a track with a matched detection
+ * 
+ * With smoothing enabled, the state is an exponential moving average of the
+ * motion-predicted state and the measurement, which removes jitter without
+ * lagging behind moving objects.
+ * 
+ * @param {Object} track - Track to update
+ * @param {Object} detection - Detection assigned to the track
+ * @param {number} timestamp - Time of the current frame in milliseconds
+ * @param {number} smoothing - Weight of the previous state (0 = no smoothing)
+ */
+function updateTrack(track, detection, timestamp, smoothing) {
+  const measured = toCenterBox(detection.sourceBox);
+  const elapsed = timestamp - track.lastUpdate;
+  const predicted = toCenterBox(predictBox(track, timestamp));
+  const state = predicted.map((value, i) => smoothing * value + (1 - smoothing) * measured[i]);
+  
+  // Blend the newly observed velocity with the previous estimate to damp noise
+  if (elapsed > 0) {
+    track.velocity = track.velocity.map((v, i) => {
+      const observed = (state[i] - track.state[i]) / elapsed;
+      return v + VELOCITY_SMOOTHING * (observed - v);
+    });
+  }
+  
+  track.state = state;
+  track.smoothedScore = smoothing * track.smoothedScore + (1 - smoothing) * detection.score;
+  track.detection = detection;
+  track.lastUpdate = timestamp;
+  track.hits++;
+  track.streak++;
+  track.misses = 0;
+}
+
+/**
+ * Builds the detection reported for a visible track
+ * Missed tracks coast on their motion prediction, and keypoints move with the box
+ * 
+ * @param {Object} track - Visible track
+ * @param {number} timestamp - Time of the current frame in milliseconds
+ * @returns {Object} Detection carrying the track ID, box and score
+ */
+function toTrackedDetection(track, timestamp) {
+  const { detection } = track;
+  const sourceBox = track.misses > 0 ? predictBox(track, timestamp) : toCornerBox(track.state);
+  
+  const tracked = {
+    ...detection,
+    id: track.id,
+    sourceBox,
+    score: track.smoothedScore,
+    trackAge: track.age,
+    missed: track.misses > 0
+  };
+  
+  // Keep pose keypoints attached to the reported box rather than the raw detection
+  if (detection.sourceKeypoints) {
+    tracked.sourceKeypoints = detection.sourceKeypoints.map(point =>
+      mapPointBetweenBoxes(point, detection.sourceBox, sourceBox)
+    );
+  }
+  
+  return tracked;
+}
+
+/**
+ * Matches the detections of a new frame against tracked objects
+ * 
+ * Detections must carry a sourceBox in a coordinate space that stays
+ * constant between frames. The returned detections are the tracks that
+ * should be shown: confirmed after enough hits and kept through a few
+ * misses, each with a stable id, smoothed box and score, and trackAge.
+ * 
+ * @param {Array<Object>} detections - Detections of the current frame
+ * @param {number} [timestamp] - Time of the current frame in milliseconds
+ * @returns {Array<Object>} Detections of the visible tracks
+ */
+export function updateTracks(detections, timestamp = performance.now()) {
+  const { smoothing, enterHits, exitMisses } = getSettings();
+  
+  // Score every same-class track/detection pair by IoU with the predicted box
+  const predictions = tracks.map(track => predictBox(track, timestamp));
+  const candidates = [];
+  
+  tracks.forEach((track, trackIndex) => {
+    detections.forEach((detection, detectionIndex) => {
+      if (detection.class !== track.class) return;
+      
+      const iou = computeIoU(predictions[trackIndex], detection.sourceBox);
+      if (iou >= MIN_MATCH_IOU) {
+        candidates.push({ trackIndex, detectionIndex, iou });
+      }
+    });
+  });
+  
+  // Greedy assignment, best overlaps first
+  candidates.sort((a, b) => b.iou - a.iou);
+  const matchedTracks = new Set();
+  const matchedDetections = new Set();
+  
+  for (const { trackIndex, detectionIndex } of candidates) {
+    if (matchedTracks.has(trackIndex) || matchedDetections.has(detectionIndex)) continue;
+    
+    updateTrack(tracks[trackIndex], detections[detectionIndex], timestamp, smoothing);
+    matchedTracks.add(trackIndex);
+    matchedDetections.add(detectionIndex);
+  }
+  
+  // Age all tracks and count misses for the unmatched ones
+  tracks.forEach((track, trackIndex) => {
+    track.age++;
+    if (!matchedTracks.has(trackIndex)) {
+      track.misses++;
+      track.streak = 0;
+    }
+  });
+  
+  // Drop tracks that have been missing for too long, but never before they stop being shown
+  const maxMisses = Math.max(MAX_MISSES, exitMisses);
+  tracks = tracks.filter(track => track.misses <= maxMisses);
+  
+  // Start new tracks for detections that matched nothing
+  detections.forEach((detection, detectionIndex) => {
+    if (!matchedDetections.has(detectionIndex)) {
+      tracks.push(createTrack(detection, timestamp));
+    }
+  });
+  
+  // Enter hysteresis: a track appears once it has been matched on enough
+  // consecutive frames, so a flickering detection never gets confirmed,
+  // and then stays confirmed
+  tracks.forEach(track => {
+    if (track.streak >= enterHits) track.confirmed = true;
+  });
+  
+  // Exit hysteresis: confirmed tracks stay visible for a few missed frames
+  return tracks
+    .filter(track => track.confirmed && track.misses <= exitMisses)
+    .map(track => toTrackedDetection(track, timestamp));
+}
+
+/**
+ * Clears all tracks, e.g. when detection restarts
+ */
+export function resetTracker() {
+  tracks = [];
+}
@@ -5,6 +5,42 @@
  */
 let boxElements = {};
 
+/**
+ * Timer hiding the toast, null while no toast is shown
+ * @type {number|null}
+ */
+let toastTimer = null;
+
+/**
+ * Predefined colors for different object classes
+ * Each class gets a consistent color based on its ID
+ * @type {Array<string>}
+ */
+const CLASS_COLORS = [
+  "#FF3838", "#FF9D97", "#FF701F", "#FFB21D", "#CFD231", 
+  "#48F90A", "#92CC17", "#3DDB86", "#1A9334", "#00D4BB", 
+  "#2C99A8", "#00C2FF", "#344593", "#6473FF", "#0018EC", 
+  "#8438FF", "#520085", "#CB38FF", "#FF95C8", "#FF37C7"
+];
+
+/**
+ * Color used to highlight detections matching the search keyword
+ * @type {string}
+ */
+const KEYWORD_COLOR = "#00FF00";
+
+/**
+ * Returns the display color for a detection
+ * 
+ * @param {number} classId - Class ID number
+ * @param {boolean} isKeywordMatch - Whether the detection matches the search keyword
+ * @returns {string} Hex color code
+ */
+export function getBoxColor(classId, isKeywordMatch) {
+  // Highlight with green if this matches the search keyword
+  return isKeywordMatch ? KEYWORD_COLOR : CLASS_COLORS[classId % CLASS_COLORS.length];
+}
+
 /**
  * Converts a hex color to an RGBA color with specified alpha
  * 
@@ -19,6 +55,20 @@ export function hexToRgba(hex, alpha) {
     : `rgba(255, 0, 0, ${alpha})`; // Default to red if conversion fails
 }
 
+/**
+ * Escapes text for safe insertion into HTML markup
+ * 
+ * @param {string} text - Raw text
+ * @returns {string} HTML-escaped text
+ */
+export function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
 /**
  * Creates a new bounding box DOM element for a detection
  * 
@@ -46,17 +96,7 @@ export function createBoxElement(detection, container) {
   boxElement.style.width = `${width}px`;
   boxElement.style.height = `${height}px`;
   
-  // Predefined colors for different object classes
-  // Each class gets a consistent color based on its ID
-  const colors = [
-    "#FF3838", "#FF9D97", "#FF701F", "#FFB21D", "#CFD231", 
-    "#48F90A", "#92CC17", "#3DDB86", "#1A9334", "#00D4BB", 
-    "#2C99A8", "#00C2FF", "#344593", "#6473FF", "#0018EC", 
-    "#8438FF", "#520085", "#CB38FF", "#FF95C8", "#FF37C7"
-  ];
-  const colorIndex = classId % colors.length;
-  // Highlight with green if this matches the search keyword
-  const color = isKeywordMatch ? "#00FF00" : colors[colorIndex];
+  const color = getBoxColor(classId, isKeywordMatch);
   
   // Apply visual styling to the box
   boxElement.style.border = `2px solid ${color}`;
@@ -199,14 +239,159 @@ export function repositionLabel(boxElement) {
   }, 0);
 }
 
+/**
+ * Scratch canvas used to colorize masks before scaling them onto the overlay
+ * @type {HTMLCanvasElement|null}
+ */
+let maskScratchCanvas = null;
+
+/**
+ * Draws semi-transparent instance masks for all detections that carry one
+ * Each mask covers its detection's screen box and uses the box color
+ * 
+ * @param {Array<Object>} detections - Detections with screenBox and optional mask
+ * @param {HTMLCanvasElement} canvas - Overlay canvas matching the displayed video size
+ * @param {number} width - Displayed video width in pixels
+ * @param {number} height - Displayed video height in pixels
+ */
+export function drawMasks(detections, canvas, width, height) {
+  if (canvas.width !== Math.round(width) || canvas.height !== Math.round(height)) {
+    canvas.width = Math.round(width);
+    canvas.height = Math.round(height);
+  }
+  
+  const context = canvas.getContext("2d");
+  context.clearRect(0, 0, canvas.width, canvas.height);
+  
+  if (!maskScratchCanvas) {
+    maskScratchCanvas = document.createElement("canvas");
+  }
+  
+  for (const detection of detections) {
+    const { mask, screenBox, class: classId, isKeywordMatch } = detection;
+    if (!mask) continue;
+    
+    // Paint the mask pixels in the detection's color at mask resolution
+    const color = getBoxColor(classId, isKeywordMatch);
+    const red = parseInt(color.slice(1, 3), 16);
+    const green = parseInt(color.slice(3, 5), 16);
+    const blue = parseInt(color.slice(5, 7), 16);
+    
+    maskScratchCanvas.width = mask.width;
+    maskScratchCanvas.height = mask.height;
+    const scratchContext = maskScratchCanvas.getContext("2d");
+    const imageData = scratchContext.createImageData(mask.width, mask.height);
+    
+    for (let i = 0; i < mask.data.length; i++) {
+      if (!mask.data[i]) continue;
+      imageData.data[i * 4] = red;
+      imageData.data[i * 4 + 1] = green;
+      imageData.data[i * 4 + 2] = blue;
+      imageData.data[i * 4 + 3] = 110; // Roughly 45% opacity
+    }
+    scratchContext.putImageData(imageData, 0, 0);
+    
+    // Stretch the mask over the box on the overlay
+    context.drawImage(maskScratchCanvas, screenBox.x1, screenBox.y1, screenBox.width, screenBox.height);
+  }
+}
+
+/**
+ * Limbs of the 17-keypoint COCO skeleton as pairs of keypoint indices
+ * @type {Array<Array<number>>}
+ */
+const COCO_SKELETON = [
+  [15, 13], [13, 11], [16, 14], [14, 12], [11, 12], // Legs and hips
+  [5, 11], [6, 12], [5, 6],                         // Torso
+  [5, 7], [6, 8], [7, 9], [8, 10],                  // Arms
+  [1, 2], [0, 1], [0, 2], [1, 3], [2, 4], [3, 5], [4, 6] // Head and neck
+];
+
+/**
+ * Minimum visibility score for a keypoint to be drawn
+ * @type {number}
+ */
+const KEYPOINT_THRESHOLD = 0.5;
+
+/**
+ * Draws joints and limbs for all detections that carry pose keypoints
+ * Must run after drawMasks, which sizes and clears the overlay canvas
+ * 
+ * @param {Array<Object>} detections - Detections with optional screenKeypoints
+ * @param {HTMLCanvasElement} canvas - Overlay canvas matching the displayed video size
+ */
+export function drawSkeletons(detections, canvas) {
+  const context = canvas.getContext("2d");
+  context.lineWidth = 2;
+  
+  for (const detection of detections) {
+    const keypoints = detection.screenKeypoints;
+    if (!keypoints) continue;
+    
+    const color = getBoxColor(detection.class, detection.isKeywordMatch);
+    const isVisible = (index) => keypoints[index] && keypoints[index].score >= KEYPOINT_THRESHOLD;
+    
+    // Limbs only make sense for the COCO keypoint layout
+    if (keypoints.length === 17) {
+      context.strokeStyle = color;
+      context.beginPath();
+      for (const [from, to] of COCO_SKELETON) {
+        if (!isVisible(from) || !isVisible(to)) continue;
+        context.moveTo(keypoints[from].x, keypoints[from].y);
+        context.lineTo(keypoints[to].x, keypoints[to].y);
+      }
+      context.stroke();
+    }
+    
+    // Joints are drawn on top of the limbs
+    context.fillStyle = color;
+    keypoints.forEach((point, index) => {
+      if (!isVisible(index)) return;
+      context.beginPath();
+      context.arc(point.x, point.y, 3, 0, Math.PI * 2);
+      context.fill();
+    });
+  }
+}
+
+/**
+ * Clears all masks and skeletons from the overlay canvas
+ * 
+ * @param {HTMLCanvasElement} canvas - Overlay canvas to clear
+ */
+export function clearMasks(canvas) {
+  canvas.getContext("2d").clearRect(0, 0, canvas.width, canvas.height);
+}
+
+/**
+ * Outlines the tiles used by tiled inference over the video
+ * 
+ * @param {HTMLElement} layer - Element covering the video exactly
+ * @param {Array<Array<number>>} tiles - Tiles [x1, y1, x2, y2] normalized to 0-1, empty to hide the grid
+ */
+export function drawTileGrid(layer, tiles) {
+  layer.innerHTML = "";
+  tiles.forEach(([x1, y1, x2, y2]) => {
+    const tile = document.createElement("div");
+    tile.className = "tile";
+    tile.style.left = `${x1 * 100}%`;
+    tile.style.top = `${y1 * 100}%`;
+    tile.style.width = `${(x2 - x1) * 100}%`;
+    tile.style.height = `${(y2 - y1) * 100}%`;
+    layer.appendChild(tile);
+  });
+}
+
 /**
  * Creates or updates statistics display showing detection counts
  * 
  * @param {number} totalCount - Total number of objects detected
  * @param {number} keywordCount - Number of objects matching keyword
  * @param {string} keyword - The current search keyword
+ * @param {Array<{label: string, count: number}>} [termCounts] - Matches for each query term
+ * @param {{zones: Array<Object>, lines: Array<Object>}} [analytics] - Zone occupancy and line totals
  */
-export function updateDetectionStats(totalCount, keywordCount, keyword) {
+export function updateDetectionStats(totalCount, keywordCount, keyword, termCounts = [], analytics = null) {
   let statsDiv = document.getElementById("detectionStats");
   
   // Create stats div if it doesn't exist
@@ -224,10 +409,29 @@ export function updateDetectionStats(totalCount, keywordCount, keyword) {
     document.body.appendChild(statsDiv);
   }
   
+  // Per-term breakdown is only useful when the query has several terms
+  const termRows = termCounts.length > 1
+    ? termCounts.map(term => `<div>&nbsp;&nbsp;${escapeHtml(term.label)}: ${term.count}</div>`).join('')
+    : '';
+  
+  // Zones list their occupants per class, lines their crossings in each direction
+  const zoneRows = analytics ? analytics.zones.map(zone => {
+    const classes = Object.entries(zone.counts)
+      .map(([className, count]) => `${escapeHtml(className)} ${count}`)
+      .join(', ');
+    return `<div>${escapeHtml(zone.name)}: ${zone.total}${classes ? ` (${classes})` : ''}</div>`;
+  }).join('') : '';
+  const lineRows = analytics ? analytics.lines.map(line =>
+    `<div>${escapeHtml(line.name)}: in ${line.in}, out ${line.out}</div>`
+  ).join('') : '';
+  
   // Update stats text
   statsDiv.innerHTML = `
     <div>Total objects: ${totalCount}</div>
-    ${keyword ? `<div>"${keyword}" objects: ${keywordCount}</div>` : ''}
+    ${keyword ? `<div>"${escapeHtml(keyword)}" objects: ${keywordCount}</div>` : ''}
+    ${termRows}
+    ${zoneRows}
+    ${lineRows}
   `;
 }
 
@@ -254,6 +458,127 @@ export function resetBoxElements() {
   boxElements = {};
 }
 
+/**
+ * Brings the box elements in line with the detections of a frame
+ * Boxes of objects no longer detected fade out, the rest are created or updated
+ * 
+ * @param {Array<Object>} detections - Visible detections with id and screenBox
+ * @param {HTMLElement} container - Container element holding the boxes
+ */
+export function renderBoxElements(detections, container) {
+  const processedIds = new Set(detections.map(detection => detection.id));
+  
+  // Remove boxes for objects no longer detected
+  for (const id in boxElements) {
+    if (!processedIds.has(id)) {
+      const boxElement = boxElements[id];
+      if (boxElement) {
+        // Apply fade-out animation before removal
+        boxElement.style.opacity = "0";
+        
+        // Remove from DOM after animation completes
+        setTimeout(() => {
+          if (boxElement.parentNode) {
+            boxElement.parentNode.removeChild(boxElement);
+          }
+        }, 300);
+        
+        // Remove from tracking dictionary
+        delete boxElements[id];
+      }
+    }
+  }
+  
+  // Create or update boxes for current detections
+  // Tracked IDs are stable, so existing elements are reused instead of recreated
+  for (const detection of detections) {
+    // Skip invalid detections
+    if (!detection || !detection.id) continue;
+    
+    if (boxElements[detection.id]) {
+      updateExistingBoxElement(boxElements[detection.id], detection);
+    } else {
+      createBoxElement(detection, container);
+    }
+  }
+}
+
+/**
+ * Fades out every box element, then empties the container
+ * 
+ * @param {HTMLElement} container - Container element holding the boxes
+ */
+export function clearBoxElements(container) {
+  container.querySelectorAll('.detection-box').forEach(box => {
+    box.style.opacity = "0";
+  });
+  
+  // Clear container after animation completes
+  setTimeout(() => {
+    container.querySelectorAll('.detection-box').forEach(box => box.remove());
+  }, 500);
+  resetBoxElements();
+}
+
+/**
+ * Updates the recorder buttons and the recorded size
+ * 
+ * @param {boolean} recording - Whether a recording is in progress
+ * @param {{frames: number, rows: number}} size - Recorded frames and detection rows
+ */
+export function updateRecordingControls(recording, size) {
+  const toggle = document.getElementById("recordToggle");
+  toggle.textContent = recording ? "Stop Recording" : "Record";
+  toggle.classList.toggle("recording", recording);
+  
+  const isEmpty = size.rows === 0;
+  document.getElementById("downloadJsonl").disabled = isEmpty;
+  document.getElementById("downloadCsv").disabled = isEmpty;
+  document.getElementById("clearRecording").disabled = isEmpty && !recording;
+  document.getElementById("recordingStatus").textContent =
+    `${size.frames} frames, ${size.rows} detections${recording ? " (recording)" : ""}`;
+}
+
+/**
+ * Saves text or binary data as a file through a temporary download link
+ * 
+ * @param {string|Blob} content - File contents
+ * @param {string} fileName - Suggested file name
+ * @param {string} [mimeType] - MIME type used when content is a string
+ */
+export function downloadFile(content, fileName, mimeType = "text/plain") {
+  const blob = content instanceof Blob ? content : new Blob([content], { type: mimeType });
+  const url = URL.createObjectURL(blob);
+  
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  
+  // Give the browser a moment to start the download before releasing the data
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Briefly shows a confirmation message at the bottom of the page
+ * A new message replaces the one still showing and restarts its timer
+ * 
+ * @param {string} message - Message to show
+ * @param {number} [duration] - Time the message stays visible in milliseconds
+ */
+export function showToast(message, duration = 2000) {
+  const toast = document.getElementById("toast");
+  if (!toast) return;
+  
+  toast.textContent = message;
+  toast.classList.add("visible");
+  clearTimeout(toastTimer);
+  toastTimer = setTimeout(() => {
+    toast.classList.remove("visible");
+    toastTimer = null;
+  }, duration);
+}
+
 /**
  * Displays an error message to the user
  * @param {string} message - The error message to show
@@ -287,4 +612,140 @@ export function updateButtonState(isDetecting, hasVideo) {
   document.getElementById("start").disabled = isDetecting || !hasVideo;
   // Stop button is only enabled when detection is running
   document.getElementById("stop").disabled = !isDetecting;
-}
\ No newline at end of file
+}
+
+/**
+ * Binds settings inputs (elements with a data-setting attribute) to a change handler
+ * Each input is initialized from the given settings and mirrors its value
+ * into an <output> element with id "<setting>Value" if one exists
+ * 
+ * @param {Object} settings - Current settings used to initialize the inputs
+ * @param {Function} onChange - Called with (key, value) whenever an input changes
+ */
+export function bindSettingControls(settings, onChange) {
+  const inputs = document.querySelectorAll("[data-setting]");
+  
+  inputs.forEach(input => {
+    const key = input.dataset.setting;
+    const output = document.getElementById(`${key}Value`);
+    
+    // Checkboxes hold booleans, selects hold strings, everything else holds numbers
+    const readValue = () => {
+      if (input.type === "checkbox") return input.checked;
+      return input.tagName === "SELECT" ? input.value : parseFloat(input.value);
+    };
+    
+    if (input.type === "checkbox") {
+      input.checked = Boolean(settings[key]);
+    } else {
+      input.value = settings[key];
+    }
+    if (output) output.textContent = input.value;
+    
+    // Use "input" so sliders apply live while being dragged
+    input.addEventListener("input", () => {
+      if (output) output.textContent = input.value;
+      onChange(key, readValue());
+    });
+  });
+}
+
+/**
+ * Fills a select element with one option per model class
+ * 
+ * @param {HTMLSelectElement} selectElement - Select element to populate
+ * @param {Object.<number, string>} classNames - Map of class IDs to class names
+ */
+export function populateClassOptions(selectElement, classNames) {
+  selectElement.innerHTML = "";
+  Object.values(classNames).forEach(className => {
+    const option = document.createElement("option");
+    option.value = className;
+    option.textContent = className;
+    selectElement.appendChild(option);
+  });
+}
+
+/**
+ * Renders the table of per-class confidence thresholds
+ * 
+ * @param {Object.<string, number>} thresholds - Minimum confidence keyed by class name
+ * @param {Function} onRemove - Called with the class name when its row is removed
+ */
+export function renderClassThresholds(thresholds, onRemove) {
+  const table = document.getElementById("classThresholdTable");
+  if (!table) return;
+  
+  table.innerHTML = "";
+  Object.entries(thresholds).forEach(([className, threshold]) => {
+    const row = table.insertRow();
+    row.insertCell().textContent = className;
+    row.insertCell().textContent = `${Math.round(threshold * 100)}%`;
+    
+    const removeButton = document.createElement("button");
+    removeButton.textContent = "Remove";
+    removeButton.addEventListener("click", () => onRemove(className));
+    row.insertCell().appendChild(removeButton);
+  });
+}
+
+/**
+ * Renders the table of alert rules
+ * 
+ * @param {Array<Object>} rules - Alert rules
+ * @param {Function} describe - Returns the display text of a rule
+ * @param {Function} onRemove - Called with the rule ID when its row is removed
+ */
+export function renderAlertRules(rules, describe, onRemove) {
+  const table = document.getElementById("alertRuleTable");
+  if (!table) return;
+  
+  table.innerHTML = "";
+  rules.forEach(rule => {
+    const row = table.insertRow();
+    row.insertCell().textContent = describe(rule);
+    row.insertCell().textContent = [rule.notify && "notification", rule.sound && "sound"].filter(Boolean).join(", ");
+    row.insertCell().textContent = `every ${rule.cooldown} s at most`;
+    
+    const removeButton = document.createElement("button");
+    removeButton.textContent = "Remove";
+    removeButton.addEventListener("click", () => onRemove(rule.id));
+    row.insertCell().appendChild(removeButton);
+  });
+}
+
+/**
+ * Fills the backend selector with "auto" and the backends this browser offers
+ * 
+ * @param {HTMLSelectElement} selectElement - Select element to populate
+ * @param {Array<string>} backends - Available backend names
+ * @param {string} selected - Currently preferred backend
+ */
+export function populateBackendOptions(selectElement, backends, selected) {
+  selectElement.innerHTML = "";
+  ["auto", ...backends].forEach(backend => {
+    const option = document.createElement("option");
+    option.value = backend;
+    option.textContent = backend === "auto" ? "Auto (benchmark)" : backend.toUpperCase();
+    selectElement.appendChild(option);
+  });
+  selectElement.value = selected;
+}
+
+/**
+ * Fills the model selector with the registered models
+ * 
+ * @param {HTMLSelectElement} selectElement - Select element to populate
+ * @param {Array<{id: string, name: string}>} registry - Registered models
+ * @param {string} selected - ID of the active model
+ */
+export function populateModelOptions(selectElement, registry, selected) {
+  selectElement.innerHTML = "";
+  registry.forEach(entry => {
+    const option = document.createElement("option");
+    option.value = entry.id;
+    option.textContent = entry.name;
+    selectElement.appendChild(option);
+  });
+  selectElement.value = selected;
+}
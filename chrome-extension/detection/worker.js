@@ -0,0 +1,79 @@
+/**
+ * Inference worker
+ * Owns the TensorFlow.js model and runs detection on frames transferred from the page,
+ * so tensor work and blocking reads never stall overlay rendering on the main thread
+ */
+
+import { cleanupTensorflow } from './model.js';
+import { processSource } from './detect.js';
+import { applySettings } from './settings.js';
+import { selectBackend, loadModelOnBackend } from './backend.js';
+
+/**
+ * Handlers for each request type sent by the detection page
+ * Each returns the result posted back to the page
+ */
+const handlers = {
+  /**
+   * Loads a model onto the preferred backend, replacing any previous one, and warms
+   * it up; load progress is posted as { type: "progress", progress } messages
+   * @param {{modelInfo: Object, settings: Object}} message
+   */
+  async load({ modelInfo, settings }) {
+    applySettings(settings);
+    return loadModelOnBackend(
+      modelInfo, settings.backend, settings.benchmarkedBackend,
+      progress => self.postMessage({ type: "progress", progress })
+    );
+  },
+  
+  /**
+   * Replaces the detection settings
+   * @param {{settings: Object}} message
+   */
+  settings({ settings }) {
+    applySettings(settings);
+  },
+  
+  /**
+   * Switches backend, benchmarking again if requested
+   * @param {{preference: string, benchmarked: string|null}} message
+   */
+  backend({ preference, benchmarked }) {
+    return selectBackend(preference, benchmarked);
+  },
+  
+  /**
+   * Runs detection on a transferred ImageBitmap, optionally only inside regions of interest or tile by tile
+   * @param {{frame: ImageBitmap, regions: Array<Array<number>>}} message
+   */
+  async detect({ frame, regions = [] }) {
+    try {
+      return await processSource(frame, regions);
+    } finally {
+      // The bitmap was transferred to us, so we are responsible for releasing it
+      frame.close();
+    }
+  },
+  
+  /**
+   * Releases TensorFlow memory
+   */
+  cleanup() {
+    cleanupTensorflow();
+  }
+};
+
+/**
+ * Dispatches requests from the page and replies with { requestId, result } or { requestId, error }
+ */
+self.addEventListener("message", async (event) => {
+  const { type, requestId, ...payload } = event.data;
+  
+  try {
+    const result = await handlers[type](payload);
+    self.postMessage({ requestId, result });
+  } catch (error) {
+    self.postMessage({ requestId, error: error.message });
+  }
+});
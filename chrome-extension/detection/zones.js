@@ -0,0 +1,273 @@
+/**
+ * Editor for counting zones and lines drawn over the video
+ * 
+ * Zones are polygons and lines are single segments, both stored with points
+ * normalized to 0-1 so they stay in place when the video is resized. Click
+ * to place points; a zone is closed by clicking its first point again,
+ * double-clicking or pressing Enter. Escape cancels the shape being drawn.
+ * 
+ * A line's "in" side is to the right of its direction from start to end on
+ * screen, and is marked by a short tick from its middle.
+ */
+
+import { toElementPoint } from './geometry.js';
+
+/**
+ * Coordinate range of the SVG view box; points are scaled from 0-1 to it
+ * @type {number}
+ */
+const VIEW_SIZE = 1000;
+
+/**
+ * Distance to the first point, as a fraction of the video, that closes a zone
+ * @type {number}
+ */
+const CLOSE_DISTANCE = 0.02;
+
+/**
+ * Length of the tick showing a line's "in" side, as a fraction of the video
+ * @type {number}
+ */
+const DIRECTION_TICK = 0.04;
+
+/**
+ * Layer over the video holding the shapes
+ * @type {HTMLElement|null}
+ */
+let zoneLayer = null;
+
+/**
+ * Current zones and lines
+ * @type {{zones: Array<Object>, lines: Array<Object>}}
+ */
+let currentShapes = { zones: [], lines: [] };
+
+/**
+ * Called with the new zones and lines whenever one is added or removed
+ * @type {Function}
+ */
+let onShapesChange = () => {};
+
+/**
+ * What is being drawn: "zone", "line" or null when not editing
+ * @type {string|null}
+ */
+let drawMode = null;
+
+/**
+ * Points placed so far for the shape being drawn, and the current mouse position
+ * @type {{points: Array<Array<number>>, cursor: Array<number>|null}}
+ */
+let pending = { points: [], cursor: null };
+
+/**
+ * Connects the zone editor to its layer
+ * 
+ * @param {HTMLElement} layer - Element covering the video exactly
+ * @param {{zones: Array<Object>, lines: Array<Object>}} shapes - Initial zones and lines
+ * @param {Function} onChange - Called with the updated {zones, lines} after every edit
+ */
+export function initZoneEditor(layer, shapes, onChange) {
+  zoneLayer = layer;
+  onShapesChange = onChange;
+  
+  layer.addEventListener("click", (event) => {
+    if (!drawMode || event.target.closest("button")) return;
+    const point = toElementPoint(event, zoneLayer);
+    
+    // Clicking next to the first point closes a zone
+    if (drawMode === "zone" && pending.points.length >= 3 && isNear(point, pending.points[0])) {
+      finishShape();
+      return;
+    }
+    
+    pending.points.push(point);
+    if (drawMode === "line" && pending.points.length === 2) {
+      finishShape();
+      return;
+    }
+    renderZones(currentShapes);
+  });
+  
+  layer.addEventListener("dblclick", (event) => {
+    if (drawMode !== "zone") return;
+    event.preventDefault();
+    // The double click's own clicks placed the same point twice
+    pending.points = pending.points.filter((point, index) =>
+      index === 0 || !isNear(point, pending.points[index - 1])
+    );
+    finishShape();
+  });
+  
+  layer.addEventListener("mousemove", (event) => {
+    if (!drawMode || pending.points.length === 0) return;
+    pending.cursor = toElementPoint(event, zoneLayer);
+    renderZones(currentShapes);
+  });
+  
+  document.addEventListener("keydown", (event) => {
+    if (!drawMode) return;
+    if (event.key === "Enter" && drawMode === "zone") finishShape();
+    if (event.key === "Escape") {
+      pending = { points: [], cursor: null };
+      renderZones(currentShapes);
+    }
+  });
+  
+  renderZones(shapes);
+}
+
+/**
+ * Starts drawing zones or lines, or stops editing
+ * While drawing, the layer captures the mouse instead of the video below
+ * 
+ * @param {string|null} mode - "zone", "line" or null to stop
+ */
+export function setZoneDrawMode(mode) {
+  drawMode = mode;
+  pending = { points: [], cursor: null };
+  zoneLayer.classList.toggle("editing", mode !== null);
+  renderZones(currentShapes);
+}
+
+/**
+ * Returns what is being drawn
+ * @returns {string|null} "zone", "line" or null when not editing
+ */
+export function getZoneDrawMode() {
+  return drawMode;
+}
+
+/**
+ * Checks whether two normalized points are close enough to be the same
+ * 
+ * @param {Array<number>} a - First point [x, y]
+ * @param {Array<number>} b - Second point [x, y]
+ * @returns {boolean} True if the points nearly coincide
+ */
+function isNear(a, b) {
+  return Math.hypot(a[0] - b[0], a[1] - b[1]) < CLOSE_DISTANCE;
+}
+
+/**
+ * Returns the next free default name, e.g. "Zone 3"
+ * 
+ * @param {string} prefix - Name prefix
+ * @param {Array<Object>} shapes - Existing shapes of that kind
+ * @returns {string} Unused name
+ */
+function nextName(prefix, shapes) {
+  let number = shapes.length + 1;
+  while (shapes.some(shape => shape.name === `${prefix} ${number}`)) number++;
+  return `${prefix} ${number}`;
+}
+
+/**
+ * Stores the shape being drawn if it is complete, and starts the next one
+ */
+function finishShape() {
+  const { points } = pending;
+  pending = { points: [], cursor: null };
+  const id = `${drawMode}_${Date.now().toString(36)}`;
+  
+  if (drawMode === "zone" && points.length >= 3) {
+    const zone = { id, name: nextName("Zone", currentShapes.zones), points };
+    onShapesChange({ ...currentShapes, zones: [...currentShapes.zones, zone] });
+  } else if (drawMode === "line" && points.length === 2 && !isNear(points[0], points[1])) {
+    const line = { id, name: nextName("Line", currentShapes.lines), start: points[0], end: points[1] };
+    onShapesChange({ ...currentShapes, lines: [...currentShapes.lines, line] });
+  } else {
+    renderZones(currentShapes);
+  }
+}
+
+/**
+ * Creates an SVG element with attributes
+ * 
+ * @param {string} tagName - SVG tag name
+ * @param {Object.<string, string|number>} attributes - Attributes to set
+ * @returns {SVGElement} New element
+ */
+function createSvgElement(tagName, attributes) {
+  const element = document.createElementNS("http://www.w3.org/2000/svg", tagName);
+  Object.entries(attributes).forEach(([name, value]) => element.setAttribute(name, value));
+  return element;
+}
+
+/**
+ * Converts normalized points to an SVG points attribute
+ * 
+ * @param {Array<Array<number>>} points - Points normalized to 0-1
+ * @returns {string} Space-separated "x,y" pairs in view box units
+ */
+function toSvgPoints(points) {
+  return points.map(([x, y]) => `${x * VIEW_SIZE},${y * VIEW_SIZE}`).join(" ");
+}
+
+/**
+ * Adds a name label at a normalized position, with a delete button while editing
+ * 
+ * @param {Array<number>} position - Label position [x, y] normalized to 0-1
+ * @param {string} text - Label text
+ * @param {Function} onRemove - Called when the delete button is clicked
+ */
+function addLabel([x, y], text, onRemove) {
+  const label = document.createElement("div");
+  label.className = "zone-label";
+  label.style.left = `${x * 100}%`;
+  label.style.top = `${y * 100}%`;
+  label.textContent = text;
+  
+  const removeButton = document.createElement("button");
+  removeButton.textContent = "×";
+  removeButton.title = `Remove ${text}`;
+  removeButton.addEventListener("click", onRemove);
+  label.appendChild(removeButton);
+  
+  zoneLayer.appendChild(label);
+}
+
+/**
+ * Draws all zones and lines, and the shape being drawn
+ * 
+ * @param {{zones: Array<Object>, lines: Array<Object>}} shapes - Zones and lines to show
+ */
+export function renderZones(shapes) {
+  currentShapes = shapes;
+  zoneLayer.innerHTML = "";
+  
+  const svg = createSvgElement("svg", {
+    viewBox: `0 0 ${VIEW_SIZE} ${VIEW_SIZE}`,
+    preserveAspectRatio: "none"
+  });
+  zoneLayer.appendChild(svg);
+  
+  shapes.zones.forEach(zone => {
+    svg.appendChild(createSvgElement("polygon", { class: "zone", points: toSvgPoints(zone.points) }));
+    addLabel(zone.points[0], zone.name, () => {
+      onShapesChange({ ...currentShapes, zones: currentShapes.zones.filter(other => other.id !== zone.id) });
+    });
+  });
+  
+  shapes.lines.forEach(line => {
+    svg.appendChild(createSvgElement("polyline", { class: "counting-line", points: toSvgPoints([line.start, line.end]) }));
+    
+    // A short tick from the middle points to the side objects enter towards
+    const [x1, y1] = line.start;
+    const [x2, y2] = line.end;
+    const length = Math.hypot(x2 - x1, y2 - y1) || 1;
+    const middle = [(x1 + x2) / 2, (y1 + y2) / 2];
+    const inSide = [middle[0] - (y2 - y1) / length * DIRECTION_TICK, middle[1] + (x2 - x1) / length * DIRECTION_TICK];
+    svg.appendChild(createSvgElement("polyline", { class: "direction-tick", points: toSvgPoints([middle, inSide]) }));
+    
+    addLabel(line.start, line.name, () => {
+      onShapesChange({ ...currentShapes, lines: currentShapes.lines.filter(other => other.id !== line.id) });
+    });
+  });
+  
+  // Preview of the shape being drawn, following the mouse
+  if (pending.points.length > 0) {
+    const points = pending.cursor ? [...pending.points, pending.cursor] : pending.points;
+    svg.appendChild(createSvgElement("polyline", { class: "zone-preview", points: toSvgPoints(points) }));
+  }
+}
@@ -1,25 +1,172 @@
+import { resolveModel } from './detection/registry.js';
+import { loadSettings } from './detection/settings.js';
+import { fetchAliases } from './detection/aliases.js';
+import { parseQuery, isEmptyQuery, resolveQuery, formatTerm } from './detection/query.js';
+import { loadRecentKeywords, addRecentKeyword } from './detection/history.js';
+
 document.addEventListener('DOMContentLoaded', () => {
     const keywordInput = document.getElementById('objectKeyword');
-    const suggestedObjectsSelect = document.getElementById('suggestedObjects');
+    const classFilterInput = document.getElementById('classFilter');
+    const classPicker = document.getElementById('classPicker');
     const startButton = document.getElementById('start');
+    const queryFeedback = document.getElementById('queryFeedback');
     
-    // Add event listener for suggested objects dropdown
-    suggestedObjectsSelect.addEventListener('change', () => {
-        if (suggestedObjectsSelect.value) {
-            keywordInput.value = suggestedObjectsSelect.value;
+    // Class names known to the model and alias dictionary, used to validate the query
+    let classList = [];
+    let aliases = {};
+    // Classes come from the metadata of the model selected on the detection page
+    const classNamesLoaded = loadSettings()
+        .then(settings => resolveModel(settings.modelId))
+        .then(info => info.classNames);
+    Promise.all([classNamesLoaded, fetchAliases()])
+        .then(([classNames, aliasDictionary]) => {
+            classList = Object.values(classNames);
+            aliases = aliasDictionary;
+            buildClassPicker();
+            showQueryFeedback();
+        })
+        .catch(error => console.error('Error loading class names:', error));
+    
+    /**
+     * Shows which classes each query term matches and warns about terms matching nothing
+     * @returns {boolean} Whether the query is valid for starting detection
+     */
+    function showQueryFeedback() {
+        const query = parseQuery(keywordInput.value, aliases);
+        queryFeedback.innerHTML = '';
+        
+        // Nothing to check until both the query and class list are available
+        if (isEmptyQuery(query) || classList.length === 0) return !isEmptyQuery(query);
+        
+        const resolved = resolveQuery(query, classList);
+        resolved.forEach(({ term, classes }) => {
+            const line = document.createElement('div');
+            if (classes.length > 0) {
+                line.textContent = `${formatTerm(term)} → ${classes.join(', ')}`;
+            } else {
+                line.textContent = `${formatTerm(term)} matches no class`;
+                line.className = 'warning';
+            }
+            queryFeedback.appendChild(line);
+        });
+        
+        // At least one term must match a class for the query to find anything
+        return resolved.some(({ classes }) => classes.length > 0);
+    }
+    
+    /**
+     * Builds one checkbox per model class so the picker follows the packaged metadata
+     */
+    function buildClassPicker() {
+        classPicker.innerHTML = '';
+        classList.forEach(className => {
+            const label = document.createElement('label');
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.value = className;
+            checkbox.addEventListener('change', () => toggleClass(className, checkbox.checked));
+            label.append(checkbox, className);
+            classPicker.appendChild(label);
+        });
+        syncClassPicker();
+    }
+    
+    /**
+     * Checks the classes that appear as exact terms in the typed query
+     */
+    function syncClassPicker() {
+        const query = parseQuery(keywordInput.value, aliases);
+        const selected = new Set(query.include.filter(term => term.exact).map(term => term.text));
+        classPicker.querySelectorAll('input').forEach(checkbox => {
+            checkbox.checked = selected.has(checkbox.value);
+        });
+    }
+    
+    /**
+     * Adds or removes a class as an exact term, keeping the rest of the query intact
+     * @param {string} className - Class to add or remove
+     * @param {boolean} selected - Whether the class should be part of the query
+     */
+    function toggleClass(className, selected) {
+        const query = parseQuery(keywordInput.value, aliases);
+        const terms = [...query.include, ...query.exclude]
+            .filter(term => !(term.exact && !term.negated && term.text === className));
+        if (selected) {
+            terms.push({ text: className, exact: true, negated: false });
+        }
+        keywordInput.value = terms.map(formatTerm).join(', ');
+        showQueryFeedback();
+    }
+    
+    /**
+     * Hides classes that don't contain the filter text
+     * @returns {Array<HTMLInputElement>} Checkboxes still visible
+     */
+    function filterClassPicker() {
+        const filterText = classFilterInput.value.trim().toLowerCase();
+        const visible = [];
+        classPicker.querySelectorAll('label').forEach(label => {
+            const checkbox = label.querySelector('input');
+            const isVisible = checkbox.value.includes(filterText);
+            label.hidden = !isVisible;
+            if (isVisible) visible.push(checkbox);
+        });
+        return visible;
+    }
+    
+    /**
+     * Shows recent searches as buttons that restore the query
+     * @param {Array<string>} recentKeywords - Recent searches, most recent first
+     */
+    function showRecentSearches(recentKeywords) {
+        const recentSearches = document.getElementById('recentSearches');
+        recentSearches.innerHTML = '';
+        document.getElementById('recentGroup').hidden = recentKeywords.length === 0;
+        
+        recentKeywords.forEach(recentKeyword => {
+            const chip = document.createElement('button');
+            chip.textContent = recentKeyword;
+            chip.addEventListener('click', () => {
+                keywordInput.value = recentKeyword;
+                syncClassPicker();
+                showQueryFeedback();
+            });
+            recentSearches.appendChild(chip);
+        });
+    }
+    
+    loadRecentKeywords().then(showRecentSearches);
+    
+    keywordInput.addEventListener('input', () => {
+        syncClassPicker();
+        showQueryFeedback();
+    });
+    
+    classFilterInput.addEventListener('input', filterClassPicker);
+    
+    // Enter in the filter picks the first visible class, like autocomplete
+    classFilterInput.addEventListener('keydown', (e) => {
+        if (e.key !== 'Enter') return;
+        const [firstMatch] = filterClassPicker();
+        if (firstMatch) {
+            firstMatch.checked = !firstMatch.checked;
+            toggleClass(firstMatch.value, firstMatch.checked);
+            classFilterInput.value = '';
+            filterClassPicker();
         }
     });
     
     // Start detection when button is clicked
     startButton.addEventListener('click', () => {
         const keyword = keywordInput.value.trim().toLowerCase();
-        if (keyword) {
-            chrome.storage.local.set({ objectKeyword: keyword }, () => {
+        if (keyword && showQueryFeedback()) {
+            chrome.storage.local.set({ objectKeyword: keyword }, async () => {
+                await addRecentKeyword(keyword);
                 chrome.runtime.sendMessage({ action: 'openDetectionTab' });
                 window.close(); // Close the popup after starting
             });
         } else {
-            // Show error if no keyword is entered
+            // Show error if no keyword is entered or it matches no class
             keywordInput.style.borderColor = 'red';
             keywordInput.placeholder = 'Please enter an object keyword';
             setTimeout(() => {
@@ -35,4 +182,4 @@ document.addEventListener('DOMContentLoaded', () => {
             startButton.click();
         }
     });
-});
\ No newline at end of file
+});
@@ -0,0 +1,217 @@
+/**
+ * Content script injected by the context menu
+ * Collects images from the page, asks the extension to run detection on them
+ * and draws labelled boxes over each image in place.
+ * 
+ * Injected with chrome.scripting on demand, so it is a plain script rather
+ * than a module and guards against being injected more than once.
+ */
+(() => {
+    if (window.__objectDetectionContentScript) return;
+    window.__objectDetectionContentScript = true;
+    
+    const MIN_IMAGE_SIZE = 32;   // Smaller images (icons, spacers) are skipped in page mode
+    const MAX_PAGE_IMAGES = 20;  // Upper bound on images sent in one page-wide request
+    
+    // Overlays currently drawn, kept so they can follow layout changes and be removed
+    let overlays = [];
+    let statusElement = null;
+    
+    chrome.runtime.onMessage.addListener((message) => {
+        if (message.action === "detectInPage") {
+            runDetection(message.mode, message.srcUrl);
+        }
+    });
+    
+    // Keep overlays aligned with their images when the layout changes
+    window.addEventListener("resize", () => overlays.forEach(positionOverlay));
+    
+    // Escape removes all overlays
+    document.addEventListener("keydown", (event) => {
+        if (event.key === "Escape") clearOverlays();
+    });
+    
+    /**
+     * Runs detection on the clicked image or on every visible image
+     * 
+     * @param {string} mode - "image" for the clicked image, "page" for all visible images
+     * @param {string} [srcUrl] - Source URL of the clicked image
+     */
+    async function runDetection(mode, srcUrl) {
+        const images = mode === "image" ? findImagesBySource(srcUrl) : findVisibleImages();
+        if (images.length === 0) {
+            showStatus(mode === "image" ? "Image not found on the page" : "No visible images on this page");
+            return;
+        }
+        
+        // blob: URLs only resolve inside the page that created them, so the
+        // extension can't load them; lazy-loaded and generated images often use them
+        const sources = [...new Set(images.map(image => image.currentSrc || image.src))];
+        const urls = sources.filter(url => !url.startsWith("blob:"));
+        const skippedCount = sources.length - urls.length;
+        const skippedNote = skippedCount > 0
+            ? `, ${skippedCount} blob image${skippedCount === 1 ? "" : "s"} skipped`
+            : "";
+        if (urls.length === 0) {
+            showStatus(mode === "image"
+                ? "This image has a blob: URL, which the extension can't load"
+                : `No images the extension can load${skippedNote}`);
+            return;
+        }
+        
+        showStatus(`Detecting objects in ${urls.length} image${urls.length === 1 ? "" : "s"}${skippedNote}...`);
+        
+        try {
+            const response = await chrome.runtime.sendMessage({ action: "detectImages", urls });
+            if (!response || response.error) {
+                throw new Error(response ? response.error : "No response from the extension");
+            }
+            
+            clearOverlays();
+            let matchCount = 0;
+            
+            for (const result of response.results) {
+                if (result.error) continue;
+                
+                // Page mode only annotates what the search keyword asks for, if one is set
+                const detections = mode === "page" && response.hasQuery
+                    ? result.detections.filter(detection => detection.isKeywordMatch)
+                    : result.detections;
+                if (detections.length === 0) continue;
+                
+                matchCount += detections.length;
+                images
+                    .filter(image => (image.currentSrc || image.src) === result.url)
+                    .forEach(image => createOverlay(image, result, detections));
+            }
+            
+            showStatus(`${matchCount} object${matchCount === 1 ? "" : "s"} found${skippedNote} (Esc to clear)`);
+        } catch (error) {
+            console.error("Object detection failed:", error);
+            showStatus(`Object detection failed: ${error.message}`);
+        }
+    }
+    
+    /**
+     * Finds the image elements showing the right-clicked image
+     * 
+     * @param {string} srcUrl - Source URL from the context menu
+     * @returns {Array<HTMLImageElement>} Matching images
+     */
+    function findImagesBySource(srcUrl) {
+        return [...document.images].filter(image => image.currentSrc === srcUrl || image.src === srcUrl);
+    }
+    
+    /**
+     * Finds images currently visible in the viewport that are large enough to hold objects
+     * 
+     * @returns {Array<HTMLImageElement>} Visible images, at most MAX_PAGE_IMAGES
+     */
+    function findVisibleImages() {
+        return [...document.images].filter(image => {
+            const rect = image.getBoundingClientRect();
+            return image.complete &&
+                (image.currentSrc || image.src) &&
+                rect.width >= MIN_IMAGE_SIZE && rect.height >= MIN_IMAGE_SIZE &&
+                rect.bottom > 0 && rect.right > 0 &&
+                rect.top < window.innerHeight && rect.left < window.innerWidth;
+        }).slice(0, MAX_PAGE_IMAGES);
+    }
+    
+    /**
+     * Draws boxes for one image in an overlay placed over it
+     * 
+     * @param {HTMLImageElement} image - Image the detections belong to
+     * @param {Object} result - Detection result with the image's natural size
+     * @param {Array<Object>} detections - Detections to draw, boxes in image pixels
+     */
+    function createOverlay(image, result, detections) {
+        const container = document.createElement("div");
+        container.style.cssText = "position: absolute; pointer-events: none; z-index: 2147483647;";
+        
+        for (const detection of detections) {
+            const [x1, y1, x2, y2] = detection.box;
+            const box = document.createElement("div");
+            
+            // Boxes are positioned in percent, so they scale with the image
+            box.style.cssText = `
+                position: absolute;
+                left: ${(x1 / result.width) * 100}%;
+                top: ${(y1 / result.height) * 100}%;
+                width: ${((x2 - x1) / result.width) * 100}%;
+                height: ${((y2 - y1) / result.height) * 100}%;
+                border: 2px solid ${detection.color};
+                box-sizing: border-box;
+            `;
+            
+            const label = document.createElement("div");
+            label.textContent = `${detection.className} ${Math.round(detection.score * 100)}%`;
+            label.style.cssText = `
+                position: absolute;
+                left: -2px;
+                bottom: 100%;
+                background: ${detection.color};
+                color: #fff;
+                font: bold 12px Arial, sans-serif;
+                padding: 1px 4px;
+                white-space: nowrap;
+            `;
+            
+            box.appendChild(label);
+            container.appendChild(box);
+        }
+        
+        document.body.appendChild(container);
+        const overlay = { image, container };
+        overlays.push(overlay);
+        positionOverlay(overlay);
+    }
+    
+    /**
+     * Places an overlay exactly over its image in document coordinates
+     * 
+     * @param {{image: HTMLImageElement, container: HTMLElement}} overlay - Overlay to position
+     */
+    function positionOverlay({ image, container }) {
+        const rect = image.getBoundingClientRect();
+        container.style.left = `${rect.left + window.scrollX}px`;
+        container.style.top = `${rect.top + window.scrollY}px`;
+        container.style.width = `${rect.width}px`;
+        container.style.height = `${rect.height}px`;
+    }
+    
+    /**
+     * Removes every overlay and the status message
+     */
+    function clearOverlays() {
+        overlays.forEach(({ container }) => container.remove());
+        overlays = [];
+        if (statusElement) statusElement.style.display = "none";
+    }
+    
+    /**
+     * Shows a short status message in the corner of the page
+     * 
+     * @param {string} text - Message to show
+     */
+    function showStatus(text) {
+        if (!statusElement) {
+            statusElement = document.createElement("div");
+            statusElement.style.cssText = `
+                position: fixed;
+                right: 16px;
+                bottom: 16px;
+                z-index: 2147483647;
+                background: rgba(0, 0, 0, 0.8);
+                color: #fff;
+                font: 13px Arial, sans-serif;
+                padding: 8px 12px;
+                border-radius: 4px;
+                pointer-events: none;
+            `;
+            document.body.appendChild(statusElement);
+        }
+        statusElement.textContent = text;
+        statusElement.style.display = "block";
+    }
+})();
@@ -1,9 +1,100 @@
+/**
+ * Path of the offscreen document that runs the model for page images
+ */
+const OFFSCREEN_URL = "offscreen.html";
+
 chrome.runtime.onInstalled.addListener(() => {
     console.log("Extension Installed");
+    
+    // Context menu entries for detecting objects directly on web pages
+    chrome.contextMenus.create({
+        id: "detectImage",
+        title: "Detect objects in this image",
+        contexts: ["image"]
+    });
+    chrome.contextMenus.create({
+        id: "detectPage",
+        title: "Detect search keyword in all images on this page",
+        contexts: ["page"]
+    });
 });
 
-chrome.runtime.onMessage.addListener((message) => {
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     if (message.action === "openDetectionTab") {
         chrome.tabs.create({ url: "detection.html" });
+    } else if (message.action === "detectImages") {
+        // Sent by the content script; answered asynchronously by the offscreen document
+        detectImages(message.urls)
+            .then(sendResponse, error => sendResponse({ error: error.message }));
+        return true;
+    }
+});
+
+chrome.contextMenus.onClicked.addListener(async (info, tab) => {
+    if (info.menuItemId !== "detectImage" && info.menuItemId !== "detectPage") return;
+    
+    try {
+        // The content script guards against being injected twice
+        await chrome.scripting.executeScript({
+            target: { tabId: tab.id, frameIds: [info.frameId || 0] },
+            files: ["content.js"]
+        });
+        
+        await chrome.tabs.sendMessage(tab.id, {
+            action: "detectInPage",
+            mode: info.menuItemId === "detectImage" ? "image" : "page",
+            srcUrl: info.srcUrl
+        }, { frameId: info.frameId || 0 });
+    } catch (error) {
+        // Pages such as the Chrome Web Store don't allow script injection
+        console.error("Could not run detection on this page:", error);
+    }
+});
+
+// Keyboard shortcuts from the manifest are handled by the open detection page
+chrome.commands.onCommand.addListener(async (command) => {
+    try {
+        await chrome.runtime.sendMessage({ target: "detection", action: "command", command });
+    } catch (error) {
+        // Nothing answered, so no detection page is open
+        chrome.notifications.create({
+            type: "basic",
+            iconUrl: "images/icon.png",
+            title: "Object Detection",
+            message: "Open the detection page to use keyboard shortcuts."
+        });
     }
-});
\ No newline at end of file
+});
+
+/**
+ * Creates the offscreen document unless it is already open
+ */
+async function ensureOffscreenDocument() {
+    if (await chrome.offscreen.hasDocument()) return;
+    
+    await chrome.offscreen.createDocument({
+        url: OFFSCREEN_URL,
+        reasons: ["WORKERS"],
+        justification: "Runs the object detection model on images from web pages"
+    });
+}
+
+/**
+ * Runs detection on page images in the offscreen document
+ * Settings and keyword are read here since the offscreen document can't access storage
+ * 
+ * @param {Array<string>} urls - Image URLs to run detection on
+ * @returns {Promise<Object>} Detection results for each image
+ */
+async function detectImages(urls) {
+    await ensureOffscreenDocument();
+    const data = await chrome.storage.local.get(["detectionSettings", "objectKeyword"]);
+    
+    return chrome.runtime.sendMessage({
+        target: "offscreen",
+        action: "detectImages",
+        urls,
+        settings: data.detectionSettings || {},
+        keyword: data.objectKeyword || ""
+    });
+}
@@ -0,0 +1,78 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseQuery, matchesQuery, isEmptyQuery, formatTerm } from '../detection/query.js';
+
+/**
+ * Returns the text of every included and excluded term of a query
+ * @param {string} queryText - Query as typed by the user
+ * @param {Object.<string, Array<string>>} [aliases] - Map of alias to class names
+ * @returns {{include: Array<string>, exclude: Array<string>}} Term texts
+ */
+function termTexts(queryText, aliases) {
+  const query = parseQuery(queryText, aliases);
+  return {
+    include: query.include.map(term => term.text),
+    exclude: query.exclude.map(term => term.text)
+  };
+}
+
+test("splits terms on commas, pipes and OR", () => {
+  assert.deepEqual(termTexts("person, dog | cat OR car"), {
+    include: ["person", "dog", "cat", "car"],
+    exclude: []
+  });
+});
+
+test("negates terms written with NOT or a minus anywhere in the query", () => {
+  for (const queryText of ["person NOT chair", "person -chair", "person, not chair", "person - chair"]) {
+    assert.deepEqual(termTexts(queryText), { include: ["person"], exclude: ["chair"] }, queryText);
+  }
+  assert.deepEqual(termTexts("NOT chair"), { include: [], exclude: ["chair"] });
+});
+
+test("keeps hyphens and the words not and or inside class names", () => {
+  assert.deepEqual(termTexts("t-shirt"), { include: ["t-shirt"], exclude: [] });
+  assert.deepEqual(termTexts("notebook, orange"), { include: ["notebook", "orange"], exclude: [] });
+});
+
+test("collapses whitespace and lowercases terms", () => {
+  assert.deepEqual(termTexts("  Cell   PHONE "), { include: ["cell phone"], exclude: [] });
+});
+
+test("matches whole words unless the term is exact", () => {
+  const ball = parseQuery("ball");
+  assert.equal(matchesQuery(ball, "sports ball"), true);
+  assert.equal(matchesQuery(ball, "baseball glove"), false);
+  
+  for (const queryText of ['"sports ball"', "=sports ball"]) {
+    const exact = parseQuery(queryText);
+    assert.equal(exact.include[0].exact, true);
+    assert.equal(matchesQuery(exact, "sports ball"), true);
+    assert.equal(matchesQuery(parseQuery(queryText.replace("sports ", "")), "sports ball"), false);
+  }
+});
+
+test("resolves aliases for free text but not for exact terms", () => {
+  const aliases = { phone: ["cell phone"] };
+  assert.equal(matchesQuery(parseQuery("phone", aliases), "cell phone"), true);
+  assert.equal(matchesQuery(parseQuery('"phone"', aliases), "cell phone"), false);
+});
+
+test("exclude-only queries match every other class", () => {
+  const query = parseQuery("-person");
+  assert.equal(matchesQuery(query, "person"), false);
+  assert.equal(matchesQuery(query, "dog"), true);
+  assert.equal(matchesQuery(parseQuery("person NOT chair"), "chair"), false);
+});
+
+test("empty queries match nothing", () => {
+  const query = parseQuery(" , ");
+  assert.equal(isEmptyQuery(query), true);
+  assert.equal(matchesQuery(query, "person"), false);
+});
+
+test("formats terms back into query syntax", () => {
+  const query = parseQuery('"sports ball" NOT chair');
+  assert.equal(formatTerm(query.include[0]), '"sports ball"');
+  assert.equal(formatTerm(query.exclude[0]), "NOT chair");
+});
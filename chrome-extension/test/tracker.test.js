@@ -0,0 +1,114 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { updateTracks, resetTracker } from '../detection/tracker.js';
+import { DEFAULT_SETTINGS, updateSetting } from '../detection/settings.js';
+
+// updateSetting persists to extension storage, which doesn't exist under Node
+globalThis.chrome = { storage: { local: { set() {} } } };
+
+/**
+ * Replaces the tracker settings, filling in defaults for the rest
+ * @param {Object} [values] - Settings to change from their defaults
+ */
+function useSettings(values = {}) {
+  for (const [key, value] of Object.entries({ ...DEFAULT_SETTINGS, ...values })) {
+    updateSetting(key, value);
+  }
+}
+
+/**
+ * Builds a detection of the given class at a box
+ * @param {Array<number>} sourceBox - Box [x1, y1, x2, y2]
+ * @param {number} [classId] - Class ID
+ * @returns {Object} Detection as produced by the model
+ */
+function detection(sourceBox, classId = 0) {
+  return { class: classId, className: `class ${classId}`, score: 0.9, sourceBox };
+}
+
+/**
+ * Builds a 100px detection whose left edge is at x
+ * @param {number} x - Left edge of the box
+ * @returns {Object} Detection
+ */
+function detectionAt(x) {
+  return detection([x, 0, x + 100, 100]);
+}
+
+beforeEach(() => {
+  useSettings();
+  resetTracker();
+});
+
+test("keeps the same ID for an object moving between frames", () => {
+  const [first] = updateTracks([detectionAt(0)], 0);
+  const [second] = updateTracks([detectionAt(10)], 100);
+  const [third] = updateTracks([detectionAt(20)], 200);
+  
+  assert.equal(second.id, first.id);
+  assert.equal(third.id, first.id);
+});
+
+test("gives separate IDs to objects of different classes at the same place", () => {
+  const tracked = updateTracks([detection([0, 0, 100, 100], 0), detection([0, 0, 100, 100], 1)], 0);
+  assert.equal(tracked.length, 2);
+  assert.notEqual(tracked[0].id, tracked[1].id);
+});
+
+test("finds a fast object again after a dropout by predicting its motion", () => {
+  let id = null;
+  for (let frame = 0; frame <= 4; frame++) {
+    [{ id }] = updateTracks([detectionAt(frame * 40)], frame * 100);
+  }
+  updateTracks([], 500);
+  updateTracks([], 600);
+  
+  // Far from the last seen box, but where the object's velocity puts it
+  const [found] = updateTracks([detectionAt(280)], 700);
+  assert.equal(found.id, id);
+});
+
+test("gives a new ID once the tracker is reset", () => {
+  const [first] = updateTracks([detectionAt(0)], 0);
+  resetTracker();
+  const [second] = updateTracks([detectionAt(0)], 100);
+  assert.notEqual(second.id, first.id);
+});
+
+test("shows a new object only after enterHits frames", () => {
+  useSettings({ enterHits: 3 });
+  assert.equal(updateTracks([detectionAt(0)], 0).length, 0);
+  assert.equal(updateTracks([detectionAt(0)], 100).length, 0);
+  assert.equal(updateTracks([detectionAt(0)], 200).length, 1);
+});
+
+test("keeps a missed object visible for exitMisses frames on its predicted box", () => {
+  useSettings({ exitMisses: 1 });
+  updateTracks([detectionAt(0)], 0);
+  updateTracks([detectionAt(10)], 100);
+  
+  const [coasting] = updateTracks([], 200);
+  assert.equal(coasting.missed, true);
+  assert.ok(coasting.sourceBox[0] > 10, "box keeps moving right");
+  assert.equal(updateTracks([], 300).length, 0);
+});
+
+test("smooths boxes and scores towards the previous frame", () => {
+  useSettings({ smoothing: 0.5 });
+  updateTracks([detection([0, 0, 100, 100])], 0);
+  const [smoothed] = updateTracks([{ ...detection([20, 0, 120, 100]), score: 0.5 }], 0);
+  
+  assert.deepEqual(smoothed.sourceBox, [10, 0, 110, 100]);
+  assert.ok(Math.abs(smoothed.score - 0.7) < 1e-9);
+});
+
+test("never confirms an object that flickers between hits and misses", () => {
+  useSettings({ enterHits: 2, exitMisses: 2 });
+  for (let frame = 0; frame < 6; frame++) {
+    const detections = frame % 2 === 0 ? [detection([0, 0, 100, 100])] : [];
+    assert.equal(updateTracks(detections, frame * 100).length, 0, `frame ${frame}`);
+  }
+  
+  updateTracks([detection([0, 0, 100, 100])], 600);
+  assert.equal(updateTracks([detection([0, 0, 100, 100])], 700).length, 1);
+});
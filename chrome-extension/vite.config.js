@@ -9,6 +9,7 @@ export default defineConfig({
       input: {
         detection: resolve(__dirname, './detection/detection.js'),
         popup: resolve(__dirname, './popup.js'),
+        offscreen: resolve(__dirname, './detection/offscreen.js'),
       },
       output: {
         entryFileNames: '[name].js',
@@ -28,6 +29,16 @@ export default defineConfig({
       }
     }
   },
+  worker: {
+    // ES module workers can share imports with the page and be code-split
+    format: 'es',
+    rollupOptions: {
+      output: {
+        // Same names as the page build so shared assets (WASM, calibration data) aren't duplicated
+        assetFileNames: 'assets/[name].[ext]'
+      }
+    }
+  },
   optimizeDeps: {
     include: ['@tensorflow/tfjs']
   },